@@ -0,0 +1,11 @@
+// Roles a contributor can be credited with on a post
+const CONTRIBUTOR_ROLES = ["author", "co-author", "reviewer", "illustrator"];
+
+// Contributors in these roles own the post, so ".own" permissions apply to
+// them, and make up its byline
+const OWNER_ROLES = ["author", "co-author"];
+
+module.exports = {
+  CONTRIBUTOR_ROLES,
+  OWNER_ROLES,
+};
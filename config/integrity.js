@@ -0,0 +1,94 @@
+// Referential rules applied when a document is deleted. Each rule names the
+// model and path that reference the deleted document and what happens to
+// those references:
+//   cascade   - the referencing documents are deleted with it (trashed with
+//               it when they can be, and restored with it)
+//   reassign  - moved to the user chosen by the admin (?reassignTo=),
+//               otherwise handled per ACCOUNT_DELETION_CONTENT: anonymized,
+//               or cascaded for "delete". Nothing moves before the purge,
+//               so a restored user keeps their content.
+//   anonymize - credited to the "Deleted user" account
+//   pull      - the id is removed from the array, or for a path inside an
+//               array of subdocuments (contributors.user) the entry holding it
+//   block     - deletion is refused while live documents reference it
+// `where` narrows references stored in shared collections. `credit` names an
+// array of subdocuments whose entry for the user is handed over along with a
+// reassigned or anonymized reference, so a post keeps its author-role
+// contributor.
+const DELETE_RULES = {
+  user: [
+    {
+      model: "Post",
+      path: "author",
+      rule: "reassign",
+      credit: "contributors.user",
+    },
+    { model: "Comment", path: "author", rule: "reassign" },
+    { model: "Post", path: "likes", rule: "pull" },
+    { model: "Comment", path: "likes", rule: "pull" },
+    { model: "Post", path: "reviewers", rule: "pull" },
+    { model: "Post", path: "contributors.user", rule: "pull" },
+    { model: "PostRevision", path: "editor", rule: "anonymize" },
+    { model: "PostReview", path: "reviewer", rule: "anonymize" },
+    { model: "Session", path: "user", rule: "cascade" },
+    { model: "RefreshToken", path: "user", rule: "cascade" },
+    { model: "ApiKey", path: "user", rule: "cascade" },
+    { model: "Identity", path: "user", rule: "cascade" },
+    { model: "OAuthState", path: "user", rule: "cascade" },
+    { model: "LoginAttempt", path: "user", rule: "cascade" },
+    { model: "EditLock", path: "user", rule: "cascade" },
+  ],
+  post: [
+    { model: "Comment", path: "post", rule: "cascade" },
+    { model: "PostRevision", path: "post", rule: "cascade" },
+    { model: "PostReview", path: "post", rule: "cascade" },
+    {
+      model: "SlugHistory",
+      path: "target",
+      rule: "cascade",
+      where: { type: "post" },
+    },
+    {
+      model: "EditLock",
+      path: "resource",
+      rule: "cascade",
+      where: { resourceType: "post" },
+    },
+  ],
+  comment: [
+    { model: "Comment", path: "parentComment", rule: "cascade" },
+    { model: "Comment", path: "replies", rule: "pull" },
+  ],
+  category: [
+    { model: "Post", path: "category", rule: "block" },
+    {
+      model: "SlugHistory",
+      path: "target",
+      rule: "cascade",
+      where: { type: "category" },
+    },
+  ],
+  tag: [
+    { model: "Post", path: "tags", rule: "block" },
+    {
+      model: "SlugHistory",
+      path: "target",
+      rule: "cascade",
+      where: { type: "tag" },
+    },
+  ],
+};
+
+// Model holding each document type that has delete rules
+const TYPE_MODELS = {
+  user: "User",
+  post: "Post",
+  comment: "Comment",
+  category: "Category",
+  tag: "Tag",
+};
+
+module.exports = {
+  DELETE_RULES,
+  TYPE_MODELS,
+};
@@ -0,0 +1,47 @@
+// OpenID Connect providers, configured from the environment:
+//   OAUTH_PROVIDERS=google,mock
+//   OAUTH_GOOGLE_ISSUER=https://accounts.google.com
+//   OAUTH_GOOGLE_CLIENT_ID=...
+//   OAUTH_GOOGLE_CLIENT_SECRET=...     (optional for public clients)
+//   OAUTH_GOOGLE_SCOPE=openid email profile
+//   OAUTH_GOOGLE_DISPLAY_NAME=Google
+//   OAUTH_GOOGLE_REDIRECT_URI=...      (defaults to the API callback route)
+
+const envKey = (name, setting) =>
+  `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${setting}`;
+
+const getProviderNames = () =>
+  (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// Provider settings, or null when it is not enabled or incomplete
+const getProvider = (name) => {
+  if (!name || !getProviderNames().includes(name.toLowerCase())) {
+    return null;
+  }
+
+  const setting = (key) => process.env[envKey(name, key)];
+
+  if (!setting("ISSUER") || !setting("CLIENT_ID")) {
+    return null;
+  }
+
+  return {
+    name: name.toLowerCase(),
+    displayName: setting("DISPLAY_NAME") || name,
+    issuer: setting("ISSUER"),
+    clientId: setting("CLIENT_ID"),
+    clientSecret: setting("CLIENT_SECRET") || null,
+    scope: setting("SCOPE") || "openid email profile",
+    redirectUri: setting("REDIRECT_URI") || null,
+  };
+};
+
+const listProviders = () => getProviderNames().map(getProvider).filter(Boolean);
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,79 @@
+// Central permission registry.
+// Permissions ending in ".own" only apply to resources the user authored;
+// the matching ".any" permission applies to every resource.
+const PERMISSIONS = {
+  "post.create": "Create posts",
+  "post.read.unpublished": "View draft, archived and inactive posts",
+  "post.update.own": "Edit own posts",
+  "post.update.any": "Edit any post",
+  "post.delete.own": "Delete own posts",
+  "post.delete.any": "Delete any post",
+  "post.stats": "View post statistics",
+  "post.submit.own": "Submit own posts for review or withdraw them",
+  "post.submit.any": "Submit or withdraw any post",
+  "post.review": "Approve posts or request changes",
+  "post.review.assign": "Assign reviewers to posts",
+  "post.publish": "Publish, schedule and archive approved posts",
+  "post.publish.unreviewed": "Publish posts without review",
+  "comment.create": "Comment on posts",
+  "comment.update.own": "Edit own comments",
+  "comment.update.any": "Edit any comment",
+  "comment.delete.own": "Delete own comments",
+  "comment.delete.any": "Delete any comment",
+  "comment.moderate": "View pending comments and approve or reject them",
+  "category.create": "Create categories",
+  "category.update": "Edit categories",
+  "category.delete": "Delete categories",
+  "category.stats": "View category statistics",
+  "tag.create": "Create tags",
+  "tag.update": "Edit tags",
+  "tag.delete": "Delete tags",
+  "tag.stats": "View tag statistics",
+  "user.manage": "Manage user accounts and invites",
+  "user.impersonate": "Act as another user for support",
+  "role.manage": "Edit role permissions",
+  "trash.manage": "View the trash and restore deleted items",
+};
+
+const USER_PERMISSIONS = [
+  "post.update.own",
+  "post.delete.own",
+  "post.submit.own",
+  "comment.create",
+  "comment.update.own",
+  "comment.delete.own",
+];
+
+const EDITOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  "post.create",
+  "post.read.unpublished",
+  "post.update.any",
+  "post.stats",
+  "post.review",
+  "post.review.assign",
+  "post.publish",
+  "comment.update.any",
+  "comment.moderate",
+  "category.create",
+  "category.update",
+  "category.stats",
+  "tag.create",
+  "tag.update",
+  "tag.stats",
+];
+
+// Role -> permission mappings used to seed the roles collection
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  admin: Object.keys(PERMISSIONS),
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+};
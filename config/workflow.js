@@ -0,0 +1,50 @@
+// Editorial workflow for posts. Each status lists the statuses a post can
+// move to and the permission required for the move. Permissions are checked
+// with can(), so ".own" grants apply to the post's author.
+//
+//   draft -> in_review -> changes_requested -> in_review -> approved -> published
+const TRANSITIONS = {
+  draft: {
+    in_review: "post.submit",
+    published: "post.publish.unreviewed",
+    scheduled: "post.publish.unreviewed",
+    archived: "post.update",
+  },
+  in_review: {
+    approved: "post.review",
+    changes_requested: "post.review",
+    draft: "post.submit",
+  },
+  changes_requested: {
+    in_review: "post.submit",
+    draft: "post.submit",
+  },
+  approved: {
+    published: "post.publish",
+    scheduled: "post.publish",
+    changes_requested: "post.review",
+    draft: "post.submit",
+    archived: "post.publish",
+  },
+  scheduled: {
+    published: "post.publish",
+    approved: "post.publish",
+    draft: "post.submit",
+  },
+  published: {
+    archived: "post.publish",
+    draft: "post.publish",
+  },
+  archived: {
+    draft: "post.update",
+    published: "post.publish",
+  },
+};
+
+// Statuses only reached through the submit and review endpoints
+const REVIEW_STATUSES = ["in_review", "changes_requested", "approved"];
+
+module.exports = {
+  TRANSITIONS,
+  REVIEW_STATUSES,
+};
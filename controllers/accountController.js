@@ -0,0 +1,133 @@
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const asyncHandler = require("../middlewares/async");
+const { sendEmail } = require("../utils/mailer");
+const {
+  defaultContentAction,
+  deletionGraceDays,
+  exportUserData,
+  purgeUser,
+} = require("../utils/accounts");
+
+// @desc    Download a copy of the current user's data
+// @route   GET /api/auth/export
+// @access  Private
+const exportAccount = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  const data = await exportUserData(user);
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="blog-data-${user._id}-${date}.json"`
+  );
+  res.status(200).json(data);
+});
+
+// @desc    Delete the current user's account after a grace period
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteAccount = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (user.deletionScheduledFor) {
+    return res.status(400).json({
+      success: false,
+      message: `Account deletion is already scheduled for ${user.deletionScheduledFor.toISOString()}`,
+    });
+  }
+
+  // Confirm with the password, or the email address for passwordless accounts
+  if (user.hasPassword) {
+    if (!(await user.comparePassword(req.body.password || ""))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+  } else if ((req.body.confirmEmail || "").toLowerCase() !== user.email) {
+    return res.status(400).json({
+      success: false,
+      message: "Send your email address as confirmEmail to confirm deletion",
+    });
+  }
+
+  const content = req.body.content || defaultContentAction();
+  const graceDays = deletionGraceDays();
+
+  if (graceDays === 0) {
+    await purgeUser(user, { content });
+
+    return res.status(200).json({
+      success: true,
+      message: "Account deleted successfully",
+    });
+  }
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + graceDays * 24 * 60 * 60 * 1000
+  );
+  user.deletionContent = content;
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: "Your account is scheduled for deletion",
+      text: `Your account will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}. Your posts and comments will be ${
+        content === "delete" ? "removed" : 'kept and shown as "Deleted user"'
+      }.\n\nIf you change your mind, sign in and cancel the deletion before then.`,
+    });
+  } catch (error) {
+    console.error(`Deletion notice not sent: ${error.message}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Account scheduled for deletion",
+    data: {
+      deletionScheduledFor: user.deletionScheduledFor,
+      content,
+    },
+  });
+});
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/account/cancel-deletion
+// @access  Private
+const cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.deletionScheduledFor) {
+    return res.status(400).json({
+      success: false,
+      message: "Account deletion is not scheduled",
+    });
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  user.deletionContent = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Account deletion cancelled",
+  });
+});
+
+module.exports = {
+  exportAccount,
+  deleteAccount,
+  cancelAccountDeletion,
+};
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+const ApiKey = require("../models/ApiKey");
+const asyncHandler = require("../middlewares/async");
+const { hashToken } = require("../utils/tokens");
+
+// Reject scopes the user's role is not allowed to delegate
+const disallowedScopes = (user, scopes) =>
+  scopes.filter((scope) => !ApiKey.ROLE_SCOPES[user.role].includes(scope));
+
+// @desc    Get current user's API keys
+// @route   GET /api/auth/api-keys
+// @access  Private
+const getApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await ApiKey.find({ user: req.user._id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys,
+  });
+});
+
+// @desc    Create API key
+// @route   POST /api/auth/api-keys
+// @access  Private
+const createApiKey = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { name, scopes, expiresInDays } = req.body;
+
+  const notAllowed = disallowedScopes(req.user, scopes);
+  if (notAllowed.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Your role cannot grant scope(s): ${notAllowed.join(", ")}`,
+    });
+  }
+
+  const key = `bk_${crypto.randomBytes(32).toString("hex")}`;
+
+  const apiKey = await ApiKey.create({
+    user: req.user._id,
+    name,
+    prefix: key.slice(0, 11),
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy it now, it will not be shown again",
+    data: {
+      ...apiKey.toJSON(),
+      key,
+    },
+  });
+});
+
+// @desc    Update API key name or scopes
+// @route   PUT /api/auth/api-keys/:id
+// @access  Private
+const updateApiKey = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: `API key not found with id of ${req.params.id}`,
+    });
+  }
+
+  if (req.body.scopes) {
+    const notAllowed = disallowedScopes(req.user, req.body.scopes);
+    if (notAllowed.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role cannot grant scope(s): ${notAllowed.join(", ")}`,
+      });
+    }
+    apiKey.scopes = req.body.scopes;
+  }
+
+  if (req.body.name !== undefined) {
+    apiKey.name = req.body.name;
+  }
+
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: "API key updated successfully",
+    data: apiKey,
+  });
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: `API key not found with id of ${req.params.id}`,
+    });
+  }
+
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully",
+  });
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+};
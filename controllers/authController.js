@@ -1,8 +1,40 @@
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
-const { generateToken } = require("../middlewares/auth");
+const RefreshToken = require("../models/RefreshToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const Session = require("../models/Session");
+const {
+  hashToken,
+  generateToken,
+  createRefreshToken,
+  issueTokens,
+  revokeFamily,
+  revokeAllForUser,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallenge,
+} = require("../utils/tokens");
+const { sendEmail } = require("../utils/mailer");
+const { isPasswordExpired } = require("../utils/passwordPolicy");
 const asyncHandler = require("../middlewares/async");
 
+// Email a verification link to the user and record when it was sent
+const sendVerificationEmail = async (user, req) => {
+  const token = generateEmailVerificationToken(user);
+  const verifyUrl = process.env.CLIENT_URL
+    ? `${process.env.CLIENT_URL}/verify-email/${token}`
+    : `${req.protocol}://${req.get("host")}/api/auth/verify-email/${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Welcome to the blog, ${user.name}! Please confirm your email address by opening the link below:\n\n${verifyUrl}`,
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -16,10 +48,10 @@ const register = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const { name, email, password, role } = req.body;
+  const { name, email, password } = req.body;
 
   // Check if user exists
-  const existingUser = await User.findOne({ email });
+  const existingUser = await User.findOne({ email }).withDeleted();
   if (existingUser) {
     return res.status(400).json({
       success: false,
@@ -32,11 +64,18 @@ const register = asyncHandler(async (req, res, next) => {
     name,
     email,
     password,
-    role: role || "user", // Default to 'user' if no role provided
+    role: "user", // Privileged roles are only granted through invites
   });
 
-  // Create token
-  const token = generateToken(user._id);
+  // Send verification link; registration still succeeds if mail fails
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (error) {
+    console.error("Verification email could not be sent:", error.message);
+  }
+
+  // Create tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   res.status(201).json({
     success: true,
@@ -44,6 +83,7 @@ const register = asyncHandler(async (req, res, next) => {
     data: {
       user,
       token,
+      refreshToken,
     },
   });
 });
@@ -66,14 +106,29 @@ const login = asyncHandler(async (req, res, next) => {
   // Check for user
   const user = await User.findOne({ email }).select("+password");
   if (!user) {
+    await LoginAttempt.record(req, { email, outcome: "unknown_user" });
     return res.status(401).json({
       success: false,
       message: "Invalid credentials",
     });
   }
 
+  // Check if account is temporarily locked
+  if (user.isLocked()) {
+    await LoginAttempt.record(req, { user, outcome: "locked" });
+    const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(
+        retryAfter / 60
+      )} minute(s)`,
+    });
+  }
+
   // Check if user is active
   if (!user.isActive) {
+    await LoginAttempt.record(req, { user, outcome: "deactivated" });
     return res.status(401).json({
       success: false,
       message: "Account is deactivated",
@@ -83,14 +138,32 @@ const login = asyncHandler(async (req, res, next) => {
   // Check password
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    await user.registerFailedLogin();
+    await LoginAttempt.record(req, { user, outcome: "invalid_password" });
     return res.status(401).json({
       success: false,
       message: "Invalid credentials",
     });
   }
 
-  // Create token
-  const token = generateToken(user._id);
+  // Second step required: hand out a short-lived challenge instead of tokens
+  if (user.twoFactorEnabled) {
+    await LoginAttempt.record(req, { user, outcome: "two_factor_required" });
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user),
+      },
+    });
+  }
+
+  await user.resetLoginAttempts();
+  await LoginAttempt.record(req, { user, outcome: "success" });
+
+  // Create tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   // Remove password from user object
   user.password = undefined;
@@ -101,10 +174,92 @@ const login = asyncHandler(async (req, res, next) => {
     data: {
       user,
       token,
+      refreshToken,
+      // Only change-password, me and logout work until it is changed
+      passwordExpired: isPasswordExpired(user),
+    },
+  });
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshAccessToken = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const tokenHash = hashToken(req.body.refreshToken);
+
+  // Atomically claim the token so concurrent refreshes cannot both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    // A rotated token presented again means it leaked: kill the whole family
+    if (existing && existing.revokedReason === "rotated") {
+      await revokeFamily(existing.family, "reuse");
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token reuse detected, session has been revoked",
+      });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired refresh token",
+    });
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await revokeFamily(stored.family, "logout");
+    return res.status(401).json({
+      success: false,
+      message: "Account is deactivated",
+    });
+  }
+
+  const { token: newRefreshToken, doc } = await createRefreshToken(
+    user._id,
+    stored.family,
+    req
+  );
+  stored.replacedBy = doc._id;
+  await stored.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: {
+      token: await generateToken(user._id, stored.family),
+      refreshToken: newRefreshToken,
     },
   });
 });
 
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res, next) => {
+  await revokeFamily(req.sessionId, "logout");
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -117,6 +272,87 @@ const getMe = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get login history of current user
+// @route   GET /api/auth/login-history
+// @access  Private
+const getLoginHistory = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { user: req.user._id };
+
+  const total = await LoginAttempt.countDocuments(query);
+  const attempts = await LoginAttempt.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select("ip userAgent outcome createdAt");
+
+  const pages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    count: attempts.length,
+    pagination: {
+      page,
+      limit,
+      pages,
+      total,
+    },
+    data: attempts,
+  });
+});
+
+// @desc    Get active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .select(
+      "ip userAgent lastSeenAt lastSeenIp mfa impersonatedBy createdAt expiresAt"
+    );
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      ...session.toJSON(),
+      isCurrent: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+// @desc    Sign out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: `Session not found with id of ${req.params.id}`,
+    });
+  }
+
+  await revokeFamily(session._id.toString(), "revoked");
+
+  res.status(200).json({
+    success: true,
+    message: "Session signed out successfully",
+  });
+});
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -190,10 +426,192 @@ const changePassword = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res, next) => {
+  const decoded = verifyEmailVerificationToken(req.params.token);
+  if (!decoded) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired verification link",
+    });
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // The link is only valid for the address it was sent to
+  if (!user || user.email !== decoded.email) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired verification link",
+    });
+  }
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+emailVerificationSentAt"
+  );
+
+  if (user.isEmailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: "Email is already verified",
+    });
+  }
+
+  // Throttle resends per account
+  const cooldownMs =
+    (parseInt(process.env.EMAIL_VERIFY_RESEND_SECONDS, 10) || 60) * 1000;
+  if (
+    user.emailVerificationSentAt &&
+    Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs
+  ) {
+    const retryAfter = Math.ceil(
+      (cooldownMs - (Date.now() - user.emailVerificationSentAt.getTime())) /
+        1000
+    );
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+    });
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Email could not be sent",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent",
+  });
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  // Same response whether or not the account exists, to avoid leaking emails
+  const response = {
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent",
+  };
+
+  const user = await User.findOne({ email: req.body.email });
+  if (!user || !user.isActive) {
+    return res.status(200).json(response);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = process.env.CLIENT_URL
+    ? `${process.env.CLIENT_URL}/reset-password/${resetToken}`
+    : `${req.protocol}://${req.get("host")}/api/auth/reset-password/${resetToken}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: "Password reset",
+      text: `You requested a password reset. Use the link below to choose a new password:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  } catch (error) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(500).json({
+      success: false,
+      message: "Email could not be sent",
+    });
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Reset password with a one-time token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(req.params.token),
+    passwordResetExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired reset token",
+    });
+  }
+
+  // Tokens are single-use
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  // Sign out every existing session
+  await revokeAllForUser(user._id, "password_reset");
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully, please log in with your new password",
+  });
+});
+
 module.exports = {
   register,
   login,
+  refreshAccessToken,
+  logout,
   getMe,
+  getLoginHistory,
+  getSessions,
+  revokeSession,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 };
@@ -2,6 +2,8 @@ const { validationResult } = require("express-validator");
 const Category = require("../models/Category");
 const Post = require("../models/Post");
 const asyncHandler = require("../middlewares/async");
+const { findSlugRedirect, sendSlugRedirect } = require("../utils/slugs");
+const { moveToTrash } = require("../utils/trash");
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -48,6 +50,23 @@ const getCategories = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Respond with a category and its number of published posts
+const sendCategory = async (res, category) => {
+  // Count posts in this category
+  const postCount = await Post.countDocuments({
+    category: category._id,
+    ...Post.publicFilter(),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...category.toObject(),
+      postCount,
+    },
+  });
+};
+
 // @desc    Get single category
 // @route   GET /api/categories/:id
 // @access  Public
@@ -61,20 +80,33 @@ const getCategory = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Count posts in this category
-  const postCount = await Post.countDocuments({
-    category: category._id,
-    status: "published",
-    isActive: true,
-  });
+  await sendCategory(res, category);
+});
 
-  res.status(200).json({
-    success: true,
-    data: {
-      ...category.toObject(),
-      postCount,
-    },
-  });
+// @desc    Get single category by slug
+// @route   GET /api/categories/slug/:slug
+// @access  Public
+const getCategoryBySlug = asyncHandler(async (req, res, next) => {
+  const category = await Category.findOne({ slug: req.params.slug });
+
+  if (!category) {
+    // Old slugs redirect to the category's current one
+    const current = await findSlugRedirect(
+      Category,
+      "category",
+      req.params.slug
+    );
+    if (current) {
+      return sendSlugRedirect(req, res, current);
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: `Category not found with slug of ${req.params.slug}`,
+    });
+  }
+
+  await sendCategory(res, category);
 });
 
 // @desc    Create category
@@ -93,12 +125,14 @@ const createCategory = asyncHandler(async (req, res, next) => {
   // Check if category exists
   const existingCategory = await Category.findOne({
     name: { $regex: new RegExp(`^${req.body.name}$`, "i") },
-  });
+  }).withDeleted();
 
   if (existingCategory) {
     return res.status(400).json({
       success: false,
-      message: "Category already exists with this name",
+      message: existingCategory.deletedAt
+        ? "A category with this name is in the trash, restore it instead"
+        : "Category already exists with this name",
     });
   }
 
@@ -140,12 +174,14 @@ const updateCategory = asyncHandler(async (req, res, next) => {
   ) {
     const existingCategory = await Category.findOne({
       name: { $regex: new RegExp(`^${req.body.name}$`, "i") },
-    });
+    }).withDeleted();
 
     if (existingCategory) {
       return res.status(400).json({
         success: false,
-        message: "Category already exists with this name",
+        message: existingCategory.deletedAt
+          ? "A category with this name is in the trash, restore it instead"
+          : "Category already exists with this name",
       });
     }
   }
@@ -175,23 +211,18 @@ const deleteCategory = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if category is being used by any posts
-  const postsUsingCategory = await Post.countDocuments({
-    category: category._id,
-  });
-
-  if (postsUsingCategory > 0) {
-    return res.status(400).json({
+  // Refused while posts use the category (see config/integrity.js)
+  const blocked = await moveToTrash("category", category, req.user);
+  if (blocked) {
+    return res.status(blocked.statusCode).json({
       success: false,
-      message: `Cannot delete category. It is being used by ${postsUsingCategory} post(s)`,
+      message: blocked.message,
     });
   }
 
-  await Category.findByIdAndDelete(req.params.id);
-
   res.status(200).json({
     success: true,
-    message: "Category deleted successfully",
+    message: "Category moved to trash",
   });
 });
 
@@ -208,6 +239,17 @@ const getCategoryStats = asyncHandler(async (req, res, next) => {
         as: "posts",
       },
     },
+    // Trashed posts do not count
+    {
+      $set: {
+        posts: {
+          $filter: {
+            input: "$posts",
+            cond: { $not: ["$$this.deletedAt"] },
+          },
+        },
+      },
+    },
     {
       $addFields: {
         postCount: { $size: "$posts" },
@@ -247,6 +289,7 @@ const getCategoryStats = asyncHandler(async (req, res, next) => {
 module.exports = {
   getCategories,
   getCategory,
+  getCategoryBySlug,
   createCategory,
   updateCategory,
   deleteCategory,
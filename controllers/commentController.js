@@ -2,6 +2,19 @@ const { validationResult } = require("express-validator");
 const Comment = require("../models/Comment");
 const Post = require("../models/Post");
 const asyncHandler = require("../middlewares/async");
+const { can } = require("../utils/permissions");
+const {
+  VERSION_CONFLICT,
+  etagFor,
+  sameVersion,
+  checkIfMatch,
+  sendPreconditionFailed,
+} = require("../utils/concurrency");
+const { moveToTrash } = require("../utils/trash");
+const { findTargets, runBulk, sendBulkResults } = require("../utils/bulk");
+
+// Filters a bulk request may select comments by
+const BULK_FILTER_FIELDS = ["status", "post", "author", "isActive"];
 
 // @desc    Get comments for a post
 // @route   GET /api/posts/:postId/comments
@@ -27,8 +40,8 @@ const getComments = asyncHandler(async (req, res, next) => {
     isActive: true,
   };
 
-  // Filter by status for admin/editor
-  if (req.user && (req.user.role === "admin" || req.user.role === "editor")) {
+  // Filter by status for moderators
+  if (await can(req.user, "comment.moderate")) {
     if (req.query.status) {
       query.status = req.query.status;
     }
@@ -91,6 +104,11 @@ const getComment = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Only editors need the version for If-Match, and it ignores likes and
+  // replies, so other reads get Express's ETag of the whole body
+  if (await can(req.user, "comment.update", comment)) {
+    res.set("ETag", etagFor(comment));
+  }
   res.status(200).json({
     success: true,
     data: comment,
@@ -113,8 +131,7 @@ const createComment = asyncHandler(async (req, res, next) => {
   // Verify post exists and is published
   const post = await Post.findOne({
     _id: req.params.postId,
-    status: "published",
-    isActive: true,
+    ...Post.publicFilter(),
   });
 
   if (!post) {
@@ -182,35 +199,55 @@ const updateComment = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check ownership or admin/editor role
-  if (
-    comment.author.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin" &&
-    req.user.role !== "editor"
-  ) {
+  // Check ownership or permission to edit any comment
+  if (!(await can(req.user, "comment.update", comment))) {
     return res.status(403).json({
       success: false,
       message: "Not authorized to update this comment",
     });
   }
 
+  // Reject edits based on an outdated copy of the comment
+  const stale = checkIfMatch(req, comment);
+  if (stale) {
+    return sendPreconditionFailed(res, stale, comment);
+  }
+
   // Only allow content updates for regular users
   const updateData = { content: req.body.content };
 
-  // Admin/Editor can update status
-  if (req.user.role === "admin" || req.user.role === "editor") {
+  // Moderators can update status
+  if (await can(req.user, "comment.moderate")) {
     if (req.body.status) {
       updateData.status = req.body.status;
     }
   }
 
-  comment = await Comment.findByIdAndUpdate(req.params.id, updateData, {
-    new: true,
-    runValidators: true,
-  })
+  const updated = await Comment.findOneAndUpdate(
+    sameVersion(comment),
+    updateData,
+    {
+      new: true,
+      runValidators: true,
+    }
+  )
     .populate("author", "name avatar")
     .populate("post", "title slug");
 
+  // Changed by someone else since the If-Match check above
+  if (!updated) {
+    const current = await Comment.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: `Comment not found with id of ${req.params.id}`,
+      });
+    }
+    return sendPreconditionFailed(res, VERSION_CONFLICT, current);
+  }
+  comment = updated;
+
+  res.set("ETag", etagFor(comment));
   res.status(200).json({
     success: true,
     message: "Comment updated successfully",
@@ -231,26 +268,20 @@ const deleteComment = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check ownership or admin role
-  if (
-    comment.author.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin"
-  ) {
+  // Check ownership or permission to delete any comment
+  if (!(await can(req.user, "comment.delete", comment))) {
     return res.status(403).json({
       success: false,
       message: "Not authorized to delete this comment",
     });
   }
 
-  // Delete replies first
-  await Comment.deleteMany({ parentComment: comment._id });
-
-  // Delete the comment
-  await Comment.findByIdAndDelete(req.params.id);
+  // Replies are trashed and restored along with the comment
+  await moveToTrash("comment", comment, req.user);
 
   res.status(200).json({
     success: true,
-    message: "Comment deleted successfully",
+    message: "Comment moved to trash",
   });
 });
 
@@ -378,6 +409,71 @@ const getAllComments = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Apply an action to many comments
+// @route   POST /api/comments/bulk
+// @access  Private/Admin/Editor (checked per comment)
+const bulkComments = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const name = req.body.action;
+  const dryRun = !!req.body.dryRun;
+
+  const moderate = (status) => ({
+    label: status,
+    check: async (comment) =>
+      (await can(req.user, "comment.moderate", comment))
+        ? null
+        : {
+            statusCode: 403,
+            message: "Not authorized to moderate this comment",
+          },
+    apply: async (comment) => {
+      comment.status = status;
+      await comment.save();
+    },
+  });
+
+  const actions = {
+    approve: () => moderate("approved"),
+    reject: () => moderate("rejected"),
+    delete: () => ({
+      label: "moved to trash",
+      check: async (comment) =>
+        (await can(req.user, "comment.delete", comment))
+          ? null
+          : {
+              statusCode: 403,
+              message: "Not authorized to delete this comment",
+            },
+      apply: (comment) => moveToTrash("comment", comment, req.user),
+    }),
+  };
+
+  const targets = await findTargets(Comment, req.body, BULK_FILTER_FIELDS);
+  if (targets.statusCode) {
+    return res.status(targets.statusCode).json({
+      success: false,
+      message: targets.message,
+    });
+  }
+
+  const results = await runBulk({
+    name: "Comment",
+    ...targets,
+    action: actions[name](),
+    dryRun,
+  });
+
+  sendBulkResults(res, { action: name, dryRun, results });
+});
+
 module.exports = {
   getComments,
   getComment,
@@ -387,4 +483,5 @@ module.exports = {
   toggleLikeComment,
   moderateComment,
   getAllComments,
+  bulkComments,
 };
@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+const Invite = require("../models/Invite");
+const User = require("../models/User");
+const asyncHandler = require("../middlewares/async");
+const { hashToken, issueTokens } = require("../utils/tokens");
+const { sendEmail } = require("../utils/mailer");
+
+// @desc    Create invite for a privileged account
+// @route   POST /api/users/invites
+// @access  Private/Admin
+const createInvite = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { email, role } = req.body;
+
+  const existingUser = await User.findOne({ email }).withDeleted();
+  if (existingUser) {
+    return res.status(400).json({
+      success: false,
+      message: "User already exists with this email",
+    });
+  }
+
+  const pendingInvite = await Invite.findOne({
+    email,
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (pendingInvite) {
+    return res.status(400).json({
+      success: false,
+      message: "A pending invite already exists for this email",
+    });
+  }
+
+  const expiresInDays =
+    parseInt(req.body.expiresInDays, 10) ||
+    parseInt(process.env.INVITE_EXPIRE_DAYS, 10) ||
+    7;
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const invite = await Invite.create({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: req.user._id,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  const acceptUrl = process.env.CLIENT_URL
+    ? `${process.env.CLIENT_URL}/accept-invite/${token}`
+    : `${req.protocol}://${req.get("host")}/api/auth/accept-invite/${token}`;
+
+  try {
+    await sendEmail({
+      to: email,
+      subject: `You have been invited to join the blog as ${role}`,
+      text: `${req.user.name} invited you to join the blog as ${role}. Accept the invitation before ${invite.expiresAt.toUTCString()}:\n\n${acceptUrl}`,
+    });
+  } catch (error) {
+    await Invite.findByIdAndDelete(invite._id);
+
+    return res.status(500).json({
+      success: false,
+      message: "Email could not be sent",
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Invite sent successfully",
+    data: invite,
+  });
+});
+
+// @desc    Get all invites
+// @route   GET /api/users/invites
+// @access  Private/Admin
+const getInvites = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  let query = {};
+  const now = new Date();
+
+  // Filter by lifecycle state
+  switch (req.query.status) {
+    case "pending":
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+      break;
+    case "accepted":
+      query = { acceptedAt: { $ne: null } };
+      break;
+    case "revoked":
+      query = { revokedAt: { $ne: null } };
+      break;
+    case "expired":
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+      break;
+  }
+
+  if (req.query.invitedBy) {
+    query.invitedBy = req.query.invitedBy;
+  }
+
+  const total = await Invite.countDocuments(query);
+  const invites = await Invite.find(query)
+    .populate("invitedBy", "name email")
+    .populate("acceptedUser", "name email role")
+    .populate("revokedBy", "name email")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const pages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    count: invites.length,
+    pagination: {
+      page,
+      limit,
+      pages,
+      total,
+    },
+    data: invites,
+  });
+});
+
+// @desc    Revoke invite
+// @route   DELETE /api/users/invites/:id
+// @access  Private/Admin
+const revokeInvite = asyncHandler(async (req, res, next) => {
+  const invite = await Invite.findById(req.params.id);
+
+  if (!invite) {
+    return res.status(404).json({
+      success: false,
+      message: `Invite not found with id of ${req.params.id}`,
+    });
+  }
+
+  if (invite.status !== "pending") {
+    return res.status(400).json({
+      success: false,
+      message: `Invite is already ${invite.status}`,
+    });
+  }
+
+  invite.revokedAt = new Date();
+  invite.revokedBy = req.user._id;
+  await invite.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Invite revoked successfully",
+    data: invite,
+  });
+});
+
+// @desc    Accept invite and create the invited account
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public
+const acceptInvite = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  // Claim the invite atomically so it can only be used once
+  const invite = await Invite.findOneAndUpdate(
+    {
+      tokenHash: hashToken(req.params.token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invite) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired invite",
+    });
+  }
+
+  const existingUser = await User.findOne({
+    email: invite.email,
+  }).withDeleted();
+  if (existingUser) {
+    invite.acceptedAt = undefined;
+    await invite.save();
+
+    return res.status(400).json({
+      success: false,
+      message: "User already exists with this email",
+    });
+  }
+
+  // The invite was delivered to this address, so it counts as verified
+  let user;
+  try {
+    user = await User.create({
+      name: req.body.name,
+      email: invite.email,
+      password: req.body.password,
+      role: invite.role,
+      isEmailVerified: true,
+      emailVerifiedAt: new Date(),
+      invitedBy: invite.invitedBy,
+    });
+  } catch (error) {
+    // Release the invite so it can be retried
+    invite.acceptedAt = undefined;
+    await invite.save();
+    throw error;
+  }
+
+  invite.acceptedUser = user._id;
+  await invite.save();
+
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.status(201).json({
+    success: true,
+    message: "Invite accepted successfully",
+    data: {
+      user,
+      token,
+      refreshToken,
+    },
+  });
+});
+
+module.exports = {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  acceptInvite,
+};
@@ -0,0 +1,16 @@
+const asyncHandler = require("../middlewares/async");
+const { getJwks: loadJwks } = require("../utils/keys");
+
+// @desc    Get public keys used to sign access tokens
+// @route   GET /.well-known/jwks.json
+// @access  Public
+const getJwks = asyncHandler(async (req, res, next) => {
+  const jwks = await loadJwks();
+
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).json(jwks);
+});
+
+module.exports = {
+  getJwks,
+};
@@ -0,0 +1,149 @@
+const Post = require("../models/Post");
+const EditLock = require("../models/EditLock");
+const asyncHandler = require("../middlewares/async");
+const { can } = require("../utils/permissions");
+
+// How long a lock lasts without being refreshed
+const lockDuration = () =>
+  (parseInt(process.env.POST_LOCK_MINUTES, 10) || 5) * 60 * 1000;
+
+// Load the post when the user may edit it, otherwise send the error response
+const findEditablePost = async (req, res) => {
+  const post = await Post.findById(req.params.id).select("author contributors");
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: `Post not found with id of ${req.params.id}`,
+    });
+    return null;
+  }
+
+  if (!(await can(req.user, "post.update", post))) {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to edit this post",
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const findActiveLock = (postId) =>
+  EditLock.findOne({
+    resourceType: "post",
+    resource: postId,
+    expiresAt: { $gt: new Date() },
+  }).populate("user", "name avatar");
+
+const lockData = (lock, user) => ({
+  locked: true,
+  user: lock.user,
+  expiresAt: lock.expiresAt,
+  ownedByYou: lock.user._id.toString() === user._id.toString(),
+});
+
+// @desc    Take or refresh the edit lock on a post
+// @route   POST /api/posts/:id/lock
+// @access  Private/Editor/Owner
+const lockPost = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(req, res);
+  if (!post) {
+    return;
+  }
+
+  const now = new Date();
+  let lock = null;
+
+  try {
+    lock = await EditLock.findOneAndUpdate(
+      {
+        resourceType: "post",
+        resource: post._id,
+        $or: [{ expiresAt: { $lte: now } }, { user: req.user._id }],
+      },
+      {
+        user: req.user._id,
+        expiresAt: new Date(now.getTime() + lockDuration()),
+      },
+      { new: true, upsert: true }
+    ).populate("user", "name avatar");
+  } catch (error) {
+    // The upsert collided with a lock held by someone else
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  if (!lock) {
+    const held = await findActiveLock(post._id);
+    return res.status(409).json({
+      success: false,
+      message: held
+        ? `${held.user.name} is currently editing this post`
+        : "Someone else is currently editing this post",
+      data: held ? lockData(held, req.user) : null,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Post locked for editing",
+    data: lockData(lock, req.user),
+  });
+});
+
+// @desc    See who is editing a post
+// @route   GET /api/posts/:id/lock
+// @access  Private/Editor/Owner
+const getPostLock = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(req, res);
+  if (!post) {
+    return;
+  }
+
+  const lock = await findActiveLock(post._id);
+
+  res.status(200).json({
+    success: true,
+    data: lock ? lockData(lock, req.user) : { locked: false },
+  });
+});
+
+// @desc    Release the edit lock on a post
+// @route   DELETE /api/posts/:id/lock
+// @access  Private/Editor/Owner
+const unlockPost = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(req, res);
+  if (!post) {
+    return;
+  }
+
+  const lock = await findActiveLock(post._id);
+
+  // Editors who may change any post can clear a lock someone left behind
+  if (
+    lock &&
+    lock.user._id.toString() !== req.user._id.toString() &&
+    !(await can(req.user, "post.update.any"))
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: `Only ${lock.user.name} can release this lock`,
+    });
+  }
+
+  await EditLock.deleteOne({ resourceType: "post", resource: post._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Post unlocked",
+  });
+});
+
+module.exports = {
+  lockPost,
+  getPostLock,
+  unlockPost,
+};
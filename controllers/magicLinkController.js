@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const MagicLink = require("../models/MagicLink");
+const LoginAttempt = require("../models/LoginAttempt");
+const asyncHandler = require("../middlewares/async");
+const {
+  hashToken,
+  issueTokens,
+  generateTwoFactorChallenge,
+} = require("../utils/tokens");
+const { sendEmail } = require("../utils/mailer");
+
+const autoRegisterEnabled = () =>
+  process.env.MAGIC_LINK_AUTO_REGISTER !== "false";
+
+// @desc    Email a one-time sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { email, name } = req.body;
+
+  // Per-email throttle, applied before looking the account up
+  const maxRequests = parseInt(process.env.MAGIC_LINK_MAX_PER_WINDOW, 10) || 3;
+  const windowMs =
+    (parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+  const recent = await MagicLink.find({
+    email,
+    createdAt: { $gt: new Date(Date.now() - windowMs) },
+  })
+    .sort({ createdAt: 1 })
+    .select("createdAt");
+
+  if (recent.length >= maxRequests) {
+    const retryAfter = Math.ceil(
+      (recent[0].createdAt.getTime() + windowMs - Date.now()) / 1000
+    );
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: `Too many sign-in links requested. Please wait ${Math.ceil(
+        retryAfter / 60
+      )} minute(s) before trying again`,
+    });
+  }
+
+  // Same response whether or not the account exists, to avoid leaking emails
+  const response = {
+    success: true,
+    message: "If sign-in is available for that email, a link has been sent",
+  };
+
+  // Trashed accounts still own their email, so they neither sign in nor
+  // register again
+  const user = await User.findOne({ email }).withDeleted();
+  const canSignIn = user
+    ? user.isActive && !user.deletedAt
+    : autoRegisterEnabled();
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const link = await MagicLink.create({
+    email,
+    user: user ? user._id : null,
+    name,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(
+      Date.now() +
+        (parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES, 10) || 15) * 60 * 1000
+    ),
+    requestedIp: req.ip,
+  });
+
+  if (!canSignIn) {
+    return res.status(200).json(response);
+  }
+
+  const signInUrl = process.env.CLIENT_URL
+    ? `${process.env.CLIENT_URL}/magic-link/${token}`
+    : `${req.protocol}://${req.get("host")}/api/auth/magic-link/${token}`;
+
+  try {
+    await sendEmail({
+      to: email,
+      subject: "Your sign-in link",
+      text: `Use the link below to sign in. It can only be used once and expires shortly:\n\n${signInUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  } catch (error) {
+    await link.deleteOne();
+
+    return res.status(500).json({
+      success: false,
+      message: "Email could not be sent",
+    });
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Sign in with a magic link
+// @route   GET /api/auth/magic-link/:token
+// @access  Public
+const consumeMagicLink = asyncHandler(async (req, res, next) => {
+  // Claim the link atomically so it can only be used once
+  const link = await MagicLink.findOneAndUpdate(
+    {
+      tokenHash: hashToken(req.params.token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!link) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired sign-in link",
+    });
+  }
+
+  let user = await User.findOne({ email: link.email }).withDeleted();
+  let isNewUser = false;
+
+  if (!user) {
+    if (!autoRegisterEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    user = await User.create({
+      name: link.name || link.email.split("@")[0].slice(0, 50),
+      email: link.email,
+      hasPassword: false,
+      isEmailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    isNewUser = true;
+  }
+
+  const attempt = { user, method: "magic_link" };
+
+  if (user.isLocked()) {
+    await LoginAttempt.record(req, { ...attempt, outcome: "locked" });
+    const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(
+        retryAfter / 60
+      )} minute(s)`,
+    });
+  }
+
+  if (!user.isActive || user.deletedAt) {
+    await LoginAttempt.record(req, { ...attempt, outcome: "deactivated" });
+    return res.status(401).json({
+      success: false,
+      message: "Account is deactivated",
+    });
+  }
+
+  // Opening the link proves the user controls the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  // Any other outstanding links for this address are no longer needed
+  await MagicLink.updateMany(
+    { email: link.email, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  if (user.twoFactorEnabled) {
+    await LoginAttempt.record(req, {
+      ...attempt,
+      outcome: "two_factor_required",
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user),
+      },
+    });
+  }
+
+  await LoginAttempt.record(req, { ...attempt, outcome: "success" });
+
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: isNewUser ? "User registered successfully" : "Login successful",
+    data: {
+      user,
+      token,
+      refreshToken,
+    },
+  });
+});
+
+module.exports = {
+  requestMagicLink,
+  consumeMagicLink,
+};
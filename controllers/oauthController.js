@@ -0,0 +1,502 @@
+const User = require("../models/User");
+const Identity = require("../models/Identity");
+const OAuthState = require("../models/OAuthState");
+const LoginAttempt = require("../models/LoginAttempt");
+const asyncHandler = require("../middlewares/async");
+const { getProvider, listProviders } = require("../config/oauth");
+const {
+  discover,
+  randomToken,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require("../utils/oidc");
+const {
+  hashToken,
+  issueTokens,
+  generateTwoFactorChallenge,
+} = require("../utils/tokens");
+
+// How long the user has to finish signing in at the provider
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const providerNotFound = (res, name) =>
+  res.status(404).json({
+    success: false,
+    message: `OAuth provider not found with name of ${name}`,
+  });
+
+// Store a pending authorization request and build the provider URL
+const beginAuthorization = async (req, provider, { mode, user }) => {
+  const discovery = await discover(provider);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const redirectUri =
+    provider.redirectUri ||
+    `${req.protocol}://${req.get("host")}/api/auth/oauth/${
+      provider.name
+    }/callback`;
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    redirectUri,
+    mode,
+    user,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  });
+
+  return buildAuthorizationUrl(provider, discovery, {
+    state,
+    nonce,
+    codeVerifier,
+    redirectUri,
+  });
+};
+
+const isEmailVerified = (claims) =>
+  claims.email_verified === true || claims.email_verified === "true";
+
+// Refusal for accounts in the trash, which keep their identities and email
+// until they are restored or purged
+const trashedAccount = (user) => ({
+  status: 401,
+  message: "Account is deactivated",
+  user,
+  outcome: "deactivated",
+});
+
+// Find the account for a provider identity, linking by verified email or
+// registering a new user when none exists. Returns { user, identity,
+// isNewUser } or { status, message } when sign-in is not possible.
+const resolveIdentity = async (provider, claims) => {
+  let identity = await Identity.findOne({
+    provider: provider.name,
+    subject: claims.sub,
+  });
+
+  if (identity) {
+    const user = await User.findById(identity.user).withDeleted();
+    if (user && user.deletedAt) {
+      return trashedAccount(user);
+    }
+    if (user) {
+      return { user, identity, isNewUser: false };
+    }
+    // The account was removed; let the identity be linked again
+    await identity.deleteOne();
+  }
+
+  const email = claims.email && claims.email.toLowerCase();
+  if (!email || !isEmailVerified(claims)) {
+    return {
+      status: 403,
+      message: `${provider.displayName} did not provide a verified email address`,
+    };
+  }
+
+  let user = await User.findOne({ email }).withDeleted();
+  let isNewUser = false;
+
+  if (user && user.deletedAt) {
+    return trashedAccount(user);
+  }
+
+  if (user && !user.isEmailVerified) {
+    // Linking to an unverified account would let whoever registered it
+    // take over the provider identity
+    return {
+      status: 409,
+      message: `An account with this email already exists. Log in with your password and link ${provider.displayName} from your account instead`,
+    };
+  }
+
+  if (!user) {
+    if (process.env.OAUTH_AUTO_REGISTER === "false") {
+      return {
+        status: 403,
+        message: "No account found for this email address",
+      };
+    }
+
+    user = await User.create({
+      name: (claims.name || email.split("@")[0]).slice(0, 50),
+      email,
+      hasPassword: false,
+      avatar: claims.picture || "",
+      isEmailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    isNewUser = true;
+  }
+
+  identity = await Identity.create({
+    user: user._id,
+    provider: provider.name,
+    subject: claims.sub,
+    email,
+  });
+
+  return { user, identity, isNewUser };
+};
+
+// @desc    List configured OAuth providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const getProviders = asyncHandler(async (req, res, next) => {
+  const providers = listProviders().map((provider) => ({
+    name: provider.name,
+    displayName: provider.displayName,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: providers.length,
+    data: providers,
+  });
+});
+
+// @desc    Start signing in with an OAuth provider
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+const startOAuthLogin = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return providerNotFound(res, req.params.provider);
+  }
+
+  const authorizationUrl = await beginAuthorization(req, provider, {
+    mode: "login",
+  });
+
+  if (req.query.redirect === "true") {
+    return res.redirect(authorizationUrl);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      authorizationUrl,
+    },
+  });
+});
+
+// @desc    Start linking an OAuth provider to the current account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+const startOAuthLink = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return providerNotFound(res, req.params.provider);
+  }
+
+  const authorizationUrl = await beginAuthorization(req, provider, {
+    mode: "link",
+    user: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      authorizationUrl,
+    },
+  });
+});
+
+// @desc    Complete an OAuth sign-in or link
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+const oauthCallback = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return providerNotFound(res, req.params.provider);
+  }
+
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Authorization failed: ${errorDescription || error}`,
+    });
+  }
+
+  if (!code || !state) {
+    return res.status(400).json({
+      success: false,
+      message: "Authorization code and state are required",
+    });
+  }
+
+  // Claim the pending request so a state can only be used once
+  const pending = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(String(state)),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!pending) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired authorization state",
+    });
+  }
+
+  const discovery = await discover(provider);
+  const tokens = await exchangeCode(provider, discovery, {
+    code: String(code),
+    codeVerifier: pending.codeVerifier,
+    redirectUri: pending.redirectUri,
+  });
+  const claims = await verifyIdToken(
+    provider,
+    discovery,
+    tokens.id_token,
+    pending.nonce
+  );
+
+  if (pending.mode === "link") {
+    const user = await User.findById(pending.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to access this route",
+      });
+    }
+
+    const existing = await Identity.findOne({
+      provider: provider.name,
+      subject: claims.sub,
+    });
+
+    if (existing && !existing.user.equals(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${provider.displayName} account is already linked to another user`,
+      });
+    }
+
+    // The browser finishing this flow may not belong to the account that
+    // started it, so the link waits for that account to confirm it
+    const confirmationToken = randomToken();
+    await OAuthState.create({
+      stateHash: hashToken(confirmationToken),
+      provider: provider.name,
+      mode: "confirm",
+      user: user._id,
+      subject: claims.sub,
+      email: claims.email,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Confirm linking this ${provider.displayName} account from the account that started it`,
+      data: {
+        confirmationRequired: true,
+        confirmationToken,
+        email: claims.email,
+      },
+    });
+  }
+
+  const resolved = await resolveIdentity(provider, claims);
+  if (resolved.status) {
+    await LoginAttempt.record(req, {
+      user: resolved.user,
+      email: claims.email,
+      method: "oauth",
+      provider: provider.name,
+      outcome: resolved.outcome || "unknown_user",
+    });
+    return res.status(resolved.status).json({
+      success: false,
+      message: resolved.message,
+    });
+  }
+
+  const { user, identity, isNewUser } = resolved;
+  const attempt = { user, method: "oauth", provider: provider.name };
+
+  if (user.isLocked()) {
+    await LoginAttempt.record(req, { ...attempt, outcome: "locked" });
+    const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(
+        retryAfter / 60
+      )} minute(s)`,
+    });
+  }
+
+  if (!user.isActive) {
+    await LoginAttempt.record(req, { ...attempt, outcome: "deactivated" });
+    return res.status(401).json({
+      success: false,
+      message: "Account is deactivated",
+    });
+  }
+
+  identity.lastLoginAt = new Date();
+  if (claims.email) {
+    identity.email = claims.email;
+  }
+  await identity.save();
+
+  if (user.twoFactorEnabled) {
+    await LoginAttempt.record(req, {
+      ...attempt,
+      outcome: "two_factor_required",
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user),
+      },
+    });
+  }
+
+  await LoginAttempt.record(req, { ...attempt, outcome: "success" });
+
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    message: isNewUser ? "User registered successfully" : "Login successful",
+    data: {
+      user,
+      token,
+      refreshToken,
+    },
+  });
+});
+
+// @desc    Confirm linking a verified OAuth identity to the current account
+// @route   POST /api/auth/oauth/:provider/link/confirm
+// @access  Private
+const confirmOAuthLink = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return providerNotFound(res, req.params.provider);
+  }
+
+  const { confirmationToken } = req.body;
+  if (!confirmationToken) {
+    return res.status(400).json({
+      success: false,
+      message: "Confirmation token is required",
+    });
+  }
+
+  // Only the account that started the link can claim it
+  const pending = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(String(confirmationToken)),
+    provider: provider.name,
+    mode: "confirm",
+    user: req.user._id,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!pending) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired confirmation token",
+    });
+  }
+
+  const existing = await Identity.findOne({
+    provider: provider.name,
+    subject: pending.subject,
+  });
+
+  if (existing && !existing.user.equals(req.user._id)) {
+    return res.status(409).json({
+      success: false,
+      message: `This ${provider.displayName} account is already linked to another user`,
+    });
+  }
+
+  const identity =
+    existing ||
+    (await Identity.create({
+      user: req.user._id,
+      provider: provider.name,
+      subject: pending.subject,
+      email: pending.email,
+    }));
+
+  res.status(200).json({
+    success: true,
+    message: `${provider.displayName} account linked successfully`,
+    data: identity,
+  });
+});
+
+// @desc    List identities linked to the current account
+// @route   GET /api/auth/identities
+// @access  Private
+const getIdentities = asyncHandler(async (req, res, next) => {
+  const identities = await Identity.find({ user: req.user._id }).sort({
+    createdAt: 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: identities.length,
+    data: identities,
+  });
+});
+
+// @desc    Unlink an identity from the current account
+// @route   DELETE /api/auth/identities/:id
+// @access  Private
+const unlinkIdentity = asyncHandler(async (req, res, next) => {
+  const identity = await Identity.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!identity) {
+    return res.status(404).json({
+      success: false,
+      message: `Identity not found with id of ${req.params.id}`,
+    });
+  }
+
+  // Keep at least one way to sign in
+  const others = await Identity.countDocuments({
+    user: req.user._id,
+    _id: { $ne: identity._id },
+  });
+  if (!req.user.hasPassword && others === 0) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "Set a password before unlinking your only sign-in method (use forgot-password)",
+    });
+  }
+
+  await identity.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Identity unlinked successfully",
+  });
+});
+
+module.exports = {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  confirmOAuthLink,
+  getIdentities,
+  unlinkIdentity,
+};
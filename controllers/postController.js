@@ -2,7 +2,48 @@ const { validationResult } = require("express-validator");
 const Post = require("../models/Post");
 const Category = require("../models/Category");
 const Tag = require("../models/Tag");
+const User = require("../models/User");
 const asyncHandler = require("../middlewares/async");
+const { can } = require("../utils/permissions");
+const {
+  recordRevision,
+  ensureBaselineRevision,
+} = require("../utils/revisions");
+const { checkEditTransition, reopenReview } = require("../utils/workflow");
+const { findSlugRedirect, sendSlugRedirect } = require("../utils/slugs");
+const { moveToTrash } = require("../utils/trash");
+const { findTargets, runBulk, sendBulkResults } = require("../utils/bulk");
+const { OWNER_ROLES } = require("../config/contributors");
+const {
+  VERSION_CONFLICT,
+  etagFor,
+  sameVersion,
+  checkIfMatch,
+  sendPreconditionFailed,
+} = require("../utils/concurrency");
+
+// Never taken from the request body: workflow fields are set through the
+// submit, review and reviewer endpoints, the author on create, contributors
+// through their own endpoint, trash fields through delete and restore, likes
+// and views by readers, and rendered fields, the publish time and the
+// version on save
+const PROTECTED_FIELDS = [
+  "version",
+  "author",
+  "reviewers",
+  "contributors",
+  "submittedAt",
+  "approvedBy",
+  "approvedAt",
+  "publishedAt",
+  "deletedAt",
+  "deletedBy",
+  "likes",
+  "views",
+  "contentHtml",
+  "toc",
+  "excerptGenerated",
+];
 
 // @desc    Get all posts
 // @route   GET /api/posts
@@ -16,9 +57,8 @@ const getPosts = asyncHandler(async (req, res, next) => {
   let query = {};
 
   // For public access, only show published and active posts
-  if (!req.user || (req.user.role !== "admin" && req.user.role !== "editor")) {
-    query.status = "published";
-    query.isActive = true;
+  if (!(await can(req.user, "post.read.unpublished"))) {
+    query = Post.publicFilter();
   } else {
     // For admin/editor, allow filtering by status
     if (req.query.status) {
@@ -27,6 +67,11 @@ const getPosts = asyncHandler(async (req, res, next) => {
     if (req.query.isActive !== undefined) {
       query.isActive = req.query.isActive === "true";
     }
+    // Review queue, e.g. ?status=in_review&reviewer=me
+    if (req.query.reviewer) {
+      query.reviewers =
+        req.query.reviewer === "me" ? req.user._id : req.query.reviewer;
+    }
   }
 
   // Filter by category
@@ -45,20 +90,39 @@ const getPosts = asyncHandler(async (req, res, next) => {
     query.author = req.query.author;
   }
 
+  // Filter by anyone credited on the post, optionally in a given role
+  if (req.query.contributor) {
+    const contributor = String(req.query.contributor);
+    if (req.query.contributorRole) {
+      query.contributors = {
+        $elemMatch: {
+          user: contributor,
+          role: String(req.query.contributorRole),
+        },
+      };
+    } else {
+      query.$or = [
+        { author: contributor },
+        { "contributors.user": contributor },
+      ];
+    }
+  }
+
   // Search functionality
   if (req.query.search) {
     query.$text = { $search: req.query.search };
   }
 
-  // Date range filtering
+  // Date range filtering, kept apart from the public publishedAt filter
   if (req.query.startDate || req.query.endDate) {
-    query.publishedAt = {};
+    const publishedAt = {};
     if (req.query.startDate) {
-      query.publishedAt.$gte = new Date(req.query.startDate);
+      publishedAt.$gte = new Date(req.query.startDate);
     }
     if (req.query.endDate) {
-      query.publishedAt.$lte = new Date(req.query.endDate);
+      publishedAt.$lte = new Date(req.query.endDate);
     }
+    query.$and = [{ publishedAt }];
   }
 
   const total = await Post.countDocuments(query);
@@ -86,12 +150,13 @@ const getPosts = asyncHandler(async (req, res, next) => {
 
   const posts = await Post.find(query)
     .populate("author", "name email avatar")
+    .populate("contributors.user", "name avatar")
     .populate("category", "name slug color")
     .populate("tags", "name slug color")
     .sort(sortOption)
     .skip(skip)
     .limit(limit)
-    .select("-content"); // Exclude full content in list view
+    .select("-content -contentHtml -toc"); // Exclude full content in list view
 
   const pages = Math.ceil(total / limit);
 
@@ -108,40 +173,88 @@ const getPosts = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get single post
-// @route   GET /api/posts/:id
-// @access  Public
-const getPost = asyncHandler(async (req, res, next) => {
-  let query = { _id: req.params.id };
-
-  // For public access, only show published and active posts
-  if (!req.user || (req.user.role !== "admin" && req.user.role !== "editor")) {
-    query.status = "published";
-    query.isActive = true;
-  }
+// Posts the user may read: everything for editors, otherwise only
+// published and active posts
+const visiblePostsFilter = async (user) =>
+  (await can(user, "post.read.unpublished")) ? {} : Post.publicFilter();
 
-  const post = await Post.findOne(query)
+const findPost = (filter) =>
+  Post.findOne(filter)
     .populate("author", "name email avatar bio")
+    .populate("contributors.user", "name avatar bio")
     .populate("category", "name slug color description")
     .populate("tags", "name slug color")
     .populate("likes", "name avatar");
 
-  if (!post) {
-    return res.status(404).json({
-      success: false,
-      message: `Post not found with id of ${req.params.id}`,
-    });
+// Respond with a single post, counting the view for public requests
+const sendPost = async (req, res, post) => {
+  // Posts saved before content was rendered on save
+  if (!post.contentHtml) {
+    post.renderContent();
   }
 
   // Increment view count if it's a public request
-  if (!req.user || (req.user.role !== "admin" && req.user.role !== "editor")) {
-    await Post.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+  if (!(await can(req.user, "post.read.unpublished"))) {
+    await Post.findByIdAndUpdate(post._id, { $inc: { views: 1 } });
   }
 
+  // The version ETag ignores likes and views, so only send it to those who
+  // may edit the post and need it for If-Match. Other reads get Express's
+  // ETag of the whole body.
+  if (await can(req.user, "post.update", post)) {
+    res.set("ETag", etagFor(post));
+  }
   res.status(200).json({
     success: true,
     data: post,
   });
+};
+
+// @desc    Get single post
+// @route   GET /api/posts/:id
+// @access  Public
+const getPost = asyncHandler(async (req, res, next) => {
+  const post = await findPost({
+    ...(await visiblePostsFilter(req.user)),
+    _id: req.params.id,
+  });
+
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      message: `Post not found with id of ${req.params.id}`,
+    });
+  }
+
+  await sendPost(req, res, post);
+});
+
+// @desc    Get single post by slug
+// @route   GET /api/posts/slug/:slug
+// @access  Public
+const getPostBySlug = asyncHandler(async (req, res, next) => {
+  const visible = await visiblePostsFilter(req.user);
+  const post = await findPost({ ...visible, slug: req.params.slug });
+
+  if (!post) {
+    // Old slugs redirect to the post's current one
+    const current = await findSlugRedirect(
+      Post,
+      "post",
+      req.params.slug,
+      visible
+    );
+    if (current) {
+      return sendSlugRedirect(req, res, current);
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: `Post not found with slug of ${req.params.slug}`,
+    });
+  }
+
+  await sendPost(req, res, post);
 });
 
 // @desc    Create post
@@ -177,13 +290,33 @@ const createPost = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Add author to post data
+  // Posts start as drafts; anything else must be reachable from draft
+  if (req.body.status && req.body.status !== "draft") {
+    const denied = await checkEditTransition(
+      req.user,
+      { status: "draft", author: req.user._id },
+      req.body.status
+    );
+    if (denied) {
+      return res.status(denied.statusCode).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+  }
+
+  PROTECTED_FIELDS.forEach((field) => delete req.body[field]);
+
+  // Add author to post data, credited first
   req.body.author = req.user._id;
+  req.body.contributors = [{ user: req.user._id, role: "author" }];
 
   const post = await Post.create(req.body);
+  await recordRevision(post, req.user._id);
 
   const populatedPost = await Post.findById(post._id)
     .populate("author", "name email avatar")
+    .populate("contributors.user", "name avatar")
     .populate("category", "name slug color")
     .populate("tags", "name slug color");
 
@@ -216,18 +349,20 @@ const updatePost = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check ownership or admin/editor role
-  if (
-    post.author.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin" &&
-    req.user.role !== "editor"
-  ) {
+  // Check ownership or permission to edit any post
+  if (!(await can(req.user, "post.update", post))) {
     return res.status(403).json({
       success: false,
       message: "Not authorized to update this post",
     });
   }
 
+  // Reject edits based on an outdated copy of the post
+  const stale = checkIfMatch(req, post);
+  if (stale) {
+    return sendPreconditionFailed(res, stale, post);
+  }
+
   // Verify category exists if being updated
   if (req.body.category) {
     const category = await Category.findById(req.body.category);
@@ -250,17 +385,71 @@ const updatePost = asyncHandler(async (req, res, next) => {
     }
   }
 
-  post = await Post.findByIdAndUpdate(req.params.id, req.body, {
+  if (req.body.status) {
+    const denied = await checkEditTransition(req.user, post, req.body.status);
+    if (denied) {
+      return res.status(denied.statusCode).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+  }
+
+  // Scheduling without a new time keeps the stored one
+  const scheduledFor =
+    req.body.scheduledFor === undefined
+      ? post.scheduledFor
+      : req.body.scheduledFor;
+  if (
+    req.body.status === "scheduled" &&
+    !(scheduledFor && new Date(scheduledFor) > new Date())
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide scheduledFor when scheduling a post",
+    });
+  }
+
+  PROTECTED_FIELDS.forEach((field) => delete req.body[field]);
+
+  // Same as the pre-save hook, which findByIdAndUpdate does not run
+  if (req.body.status === "published" && !post.publishedAt) {
+    req.body.publishedAt = new Date();
+  }
+
+  await ensureBaselineRevision(post);
+
+  const updated = await Post.findOneAndUpdate(sameVersion(post), req.body, {
     new: true,
     runValidators: true,
   })
     .populate("author", "name email avatar")
+    .populate("contributors.user", "name avatar")
     .populate("category", "name slug color")
     .populate("tags", "name slug color");
 
+  // Changed by someone else since the If-Match check above
+  if (!updated) {
+    const current = await Post.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: `Post not found with id of ${req.params.id}`,
+      });
+    }
+    return sendPreconditionFailed(res, VERSION_CONFLICT, current);
+  }
+  post = updated;
+
+  const revision = await recordRevision(post, req.user._id);
+  const reopened = revision && (await reopenReview(req.user, post));
+
+  res.set("ETag", etagFor(post));
   res.status(200).json({
     success: true,
-    message: "Post updated successfully",
+    message: reopened
+      ? "Post updated and sent back for review"
+      : "Post updated successfully",
     data: post,
   });
 });
@@ -278,22 +467,21 @@ const deletePost = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check ownership or admin role
-  if (
-    post.author.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin"
-  ) {
+  // Check ownership or permission to delete any post
+  if (!(await can(req.user, "post.delete", post))) {
     return res.status(403).json({
       success: false,
       message: "Not authorized to delete this post",
     });
   }
 
-  await Post.findByIdAndDelete(req.params.id);
+  // Comments are trashed with the post; revisions, reviews and slug history
+  // go when it is purged
+  await moveToTrash("post", post, req.user);
 
   res.status(200).json({
     success: true,
-    message: "Post deleted successfully",
+    message: "Post moved to trash",
   });
 });
 
@@ -369,7 +557,7 @@ const getPostStats = asyncHandler(async (req, res, next) => {
     { $sort: { count: -1 } },
   ]);
 
-  const recentPosts = await Post.find({ status: "published", isActive: true })
+  const recentPosts = await Post.find(Post.publicFilter())
     .populate("author", "name")
     .populate("category", "name")
     .sort({ publishedAt: -1 })
@@ -403,17 +591,17 @@ const getRelatedPosts = asyncHandler(async (req, res, next) => {
 
   // Find posts with same category or tags
   const relatedPosts = await Post.find({
+    ...Post.publicFilter(),
     _id: { $ne: req.params.id },
-    status: "published",
-    isActive: true,
     $or: [{ category: post.category }, { tags: { $in: post.tags } }],
   })
     .populate("author", "name avatar")
+    .populate("contributors.user", "name avatar")
     .populate("category", "name slug color")
     .populate("tags", "name slug color")
     .sort({ publishedAt: -1 })
     .limit(limit)
-    .select("-content");
+    .select("-content -contentHtml -toc");
 
   res.status(200).json({
     success: true,
@@ -421,13 +609,217 @@ const getRelatedPosts = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Set who is credited on a post, in byline order
+// @route   PUT /api/posts/:id/contributors
+// @access  Private/Admin/Editor/Owner
+const setContributors = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      message: `Post not found with id of ${req.params.id}`,
+    });
+  }
+
+  // Authors and co-authors may credit others; editors any post
+  if (!(await can(req.user, "post.update", post))) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to update this post",
+    });
+  }
+
+  const contributors = req.body.contributors.map(({ user, name, role }) =>
+    user ? { user: String(user), role } : { name, role }
+  );
+
+  const userIds = contributors
+    .filter((contributor) => contributor.user)
+    .map((contributor) => contributor.user);
+  if (new Set(userIds).size !== userIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: "Each user can only be listed once",
+    });
+  }
+
+  const users = await User.countDocuments({
+    _id: { $in: userIds },
+    isActive: true,
+  });
+  if (users !== userIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: "One or more contributor IDs are invalid",
+    });
+  }
+
+  // The post's owner stays credited, so ownership and the byline agree
+  const author = contributors.find(
+    (contributor) => contributor.user === post.author.toString()
+  );
+  if (!author || author.role !== "author") {
+    return res.status(400).json({
+      success: false,
+      message: "The post's author must stay listed with the author role",
+    });
+  }
+
+  post.contributors = contributors;
+  await post.save();
+  await post.populate([
+    { path: "author", select: "name avatar" },
+    { path: "contributors.user", select: "name avatar" },
+  ]);
+
+  res.set("ETag", etagFor(post));
+  res.status(200).json({
+    success: true,
+    message: "Contributors updated",
+    data: {
+      contributors: post.contributors,
+      byline: post.byline,
+    },
+  });
+});
+
+// Filters a bulk request may select posts by
+const BULK_FILTER_FIELDS = ["status", "author", "category", "tags", "isActive"];
+
+// Move a post to another status, checked like a status change through
+// updatePost
+const statusAction = (user, status, label) => ({
+  label,
+  check: (post) => checkEditTransition(user, post, status),
+  apply: async (post) => {
+    post.status = status;
+    await post.save();
+  },
+});
+
+// Change a post's category or tags, recorded as a revision like any edit
+const editAction = (user, changes, label) => ({
+  label,
+  check: async (post) =>
+    (await can(user, "post.update", post))
+      ? null
+      : { statusCode: 403, message: "Not authorized to update this post" },
+  apply: async (post) => {
+    await ensureBaselineRevision(post);
+    post.set(changes);
+    await post.save();
+
+    const revision = await recordRevision(post, user._id);
+    if (revision) {
+      await reopenReview(user, post);
+    }
+  },
+});
+
+// Posts a bulk request may select: those the user can read, and their own
+const bulkScope = async (user) => ({
+  $or: [
+    await visiblePostsFilter(user),
+    { author: user._id },
+    {
+      contributors: {
+        $elemMatch: { user: user._id, role: { $in: OWNER_ROLES } },
+      },
+    },
+  ],
+});
+
+// @desc    Apply an action to many posts
+// @route   POST /api/posts/bulk
+// @access  Private (checked per post)
+const bulkPosts = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { action: name, category, tags } = req.body;
+  const dryRun = !!req.body.dryRun;
+
+  if (name === "recategorize" && !(await Category.findById(category))) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid category ID",
+    });
+  }
+
+  if (name === "retag" && tags.length > 0) {
+    const existingTags = await Tag.find({ _id: { $in: tags } });
+    if (existingTags.length !== tags.length) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more tag IDs are invalid",
+      });
+    }
+  }
+
+  const actions = {
+    publish: () => statusAction(req.user, "published", "published"),
+    archive: () => statusAction(req.user, "archived", "archived"),
+    delete: () => ({
+      label: "moved to trash",
+      check: async (post) =>
+        (await can(req.user, "post.delete", post))
+          ? null
+          : { statusCode: 403, message: "Not authorized to delete this post" },
+      apply: (post) => moveToTrash("post", post, req.user),
+    }),
+    recategorize: () => editAction(req.user, { category }, "recategorized"),
+    retag: () => editAction(req.user, { tags }, "retagged"),
+  };
+
+  const targets = await findTargets(
+    Post,
+    req.body,
+    BULK_FILTER_FIELDS,
+    await bulkScope(req.user)
+  );
+  if (targets.statusCode) {
+    return res.status(targets.statusCode).json({
+      success: false,
+      message: targets.message,
+    });
+  }
+
+  const results = await runBulk({
+    name: "Post",
+    ...targets,
+    action: actions[name](),
+    dryRun,
+  });
+
+  sendBulkResults(res, { action: name, dryRun, results });
+});
+
 module.exports = {
   getPosts,
   getPost,
+  getPostBySlug,
   createPost,
   updatePost,
   deletePost,
   toggleLikePost,
   getPostStats,
   getRelatedPosts,
+  setContributors,
+  bulkPosts,
 };
@@ -0,0 +1,296 @@
+const { validationResult } = require("express-validator");
+const Post = require("../models/Post");
+const PostReview = require("../models/PostReview");
+const PostRevision = require("../models/PostRevision");
+const User = require("../models/User");
+const asyncHandler = require("../middlewares/async");
+const { can, isOwner } = require("../utils/permissions");
+const { checkTransition, nextStatuses } = require("../utils/workflow");
+const { sendEmail } = require("../utils/mailer");
+
+const postNotFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Post not found with id of ${id}`,
+  });
+
+// Email failures should never block the workflow
+const notify = async (to, subject, text) => {
+  try {
+    await sendEmail({ to, subject, text });
+  } catch (error) {
+    console.error(`Review notification not sent: ${error.message}`);
+  }
+};
+
+// @desc    Submit a post for review
+// @route   POST /api/posts/:id/submit
+// @access  Private/Owner
+const submitPost = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id).populate(
+    "reviewers",
+    "name email"
+  );
+
+  if (!post) {
+    return postNotFound(res, req.params.id);
+  }
+
+  const denied = await checkTransition(req.user, post, "in_review");
+  if (denied) {
+    return res.status(denied.statusCode).json({
+      success: false,
+      message: denied.message,
+    });
+  }
+
+  post.status = "in_review";
+  post.submittedAt = new Date();
+  post.approvedBy = undefined;
+  post.approvedAt = undefined;
+  await post.save();
+
+  await Promise.all(
+    post.reviewers.map((reviewer) =>
+      notify(
+        reviewer.email,
+        `Review requested: ${post.title}`,
+        `${req.user.name} submitted "${post.title}" for review.${
+          req.body.note ? `\n\nNote from the author:\n${req.body.note}` : ""
+        }`
+      )
+    )
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Post submitted for review",
+    data: {
+      status: post.status,
+      submittedAt: post.submittedAt,
+      reviewers: post.reviewers,
+    },
+  });
+});
+
+// @desc    Approve a post, request changes or leave review feedback
+// @route   POST /api/posts/:id/review
+// @access  Private/Editor
+const reviewPost = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    return postNotFound(res, req.params.id);
+  }
+
+  if (!(await can(req.user, "post.review"))) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to review posts",
+    });
+  }
+
+  if (isOwner(req.user, post)) {
+    return res.status(403).json({
+      success: false,
+      message: "You cannot review your own post",
+    });
+  }
+
+  if (
+    post.reviewers.length > 0 &&
+    !post.reviewers.some((id) => id.toString() === req.user._id.toString())
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the assigned reviewers can review this post",
+    });
+  }
+
+  const { decision, comment } = req.body;
+
+  if (decision !== "comment") {
+    const denied = await checkTransition(req.user, post, decision);
+    if (denied) {
+      return res.status(denied.statusCode).json({
+        success: false,
+        message: denied.message,
+      });
+    }
+  }
+
+  const latest = await PostRevision.findOne({ post: post._id })
+    .sort({ number: -1 })
+    .select("number");
+
+  const review = await PostReview.create({
+    post: post._id,
+    reviewer: req.user._id,
+    decision,
+    comment,
+    revision: latest ? latest.number : undefined,
+  });
+
+  if (decision !== "comment") {
+    post.status = decision;
+    post.approvedBy = decision === "approved" ? req.user._id : undefined;
+    post.approvedAt = decision === "approved" ? new Date() : undefined;
+    await post.save();
+  }
+
+  const outcome = {
+    approved: "approved",
+    changes_requested: "requested changes to",
+    comment: "commented on",
+  }[decision];
+  // Nobody to tell when the author's account is in the trash
+  const author = await User.findById(post.author).select("email");
+  if (author) {
+    await notify(
+      author.email,
+      `${req.user.name} ${outcome} "${post.title}"`,
+      `${req.user.name} ${outcome} your post "${post.title}".${
+        comment ? `\n\n${comment}` : ""
+      }`
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Review recorded",
+    data: {
+      review,
+      status: post.status,
+      nextStatuses: nextStatuses(post.status),
+    },
+  });
+});
+
+// @desc    Get the reviews left on a post
+// @route   GET /api/posts/:id/reviews
+// @access  Private/Editor/Owner
+const getReviews = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id).select(
+    "author contributors status reviewers submittedAt approvedBy approvedAt"
+  );
+
+  if (!post) {
+    return postNotFound(res, req.params.id);
+  }
+
+  if (!isOwner(req.user, post) && !(await can(req.user, "post.review"))) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to view reviews of this post",
+    });
+  }
+
+  const reviews = await PostReview.find({ post: post._id })
+    .populate("reviewer", "name avatar")
+    .sort({ createdAt: -1 });
+
+  await post.populate("reviewers", "name avatar");
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    data: {
+      status: post.status,
+      nextStatuses: nextStatuses(post.status),
+      reviewers: post.reviewers,
+      submittedAt: post.submittedAt,
+      approvedBy: post.approvedBy,
+      approvedAt: post.approvedAt,
+      reviews,
+    },
+  });
+});
+
+// @desc    Assign the editors who review a post
+// @route   PUT /api/posts/:id/reviewers
+// @access  Private/Editor
+const assignReviewers = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    return postNotFound(res, req.params.id);
+  }
+
+  const reviewerIds = [...new Set(req.body.reviewers.map(String))];
+  const reviewers = await User.find({
+    _id: { $in: reviewerIds },
+    isActive: true,
+  }).select("name email role");
+
+  if (reviewers.length !== reviewerIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: "One or more reviewer IDs are invalid",
+    });
+  }
+
+  for (const reviewer of reviewers) {
+    if (isOwner(reviewer, post)) {
+      return res.status(400).json({
+        success: false,
+        message: "The author cannot review their own post",
+      });
+    }
+    if (!(await can(reviewer, "post.review"))) {
+      return res.status(400).json({
+        success: false,
+        message: `${reviewer.name} is not allowed to review posts`,
+      });
+    }
+  }
+
+  const previous = post.reviewers.map(String);
+  post.reviewers = reviewers.map((reviewer) => reviewer._id);
+  await post.save();
+
+  // Let newly assigned reviewers know when the post is already waiting
+  if (post.status === "in_review") {
+    await Promise.all(
+      reviewers
+        .filter((reviewer) => !previous.includes(reviewer._id.toString()))
+        .map((reviewer) =>
+          notify(
+            reviewer.email,
+            `Review requested: ${post.title}`,
+            `${req.user.name} asked you to review "${post.title}".`
+          )
+        )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Reviewers updated",
+    data: reviewers.map(({ _id, name }) => ({ _id, name })),
+  });
+});
+
+module.exports = {
+  submitPost,
+  reviewPost,
+  getReviews,
+  assignReviewers,
+};
@@ -0,0 +1,228 @@
+const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+const Category = require("../models/Category");
+const Tag = require("../models/Tag");
+const asyncHandler = require("../middlewares/async");
+const { can } = require("../utils/permissions");
+const {
+  REVISION_FIELDS,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions,
+} = require("../utils/revisions");
+const { reopenReview } = require("../utils/workflow");
+
+// Load the post when the user may edit it, otherwise send the error response
+const findEditablePost = async (
+  req,
+  res,
+  message = "Not authorized to view the history of this post"
+) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: `Post not found with id of ${req.params.id}`,
+    });
+    return null;
+  }
+
+  if (!(await can(req.user, "post.update", post))) {
+    res.status(403).json({
+      success: false,
+      message,
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const revisionNotFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Revision not found with id of ${id}`,
+  });
+
+// @desc    Get the revision history of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private/Editor/Owner
+const getRevisions = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(req, res);
+  if (!post) {
+    return;
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const total = await PostRevision.countDocuments({ post: post._id });
+  const revisions = await PostRevision.find({ post: post._id })
+    .populate("editor", "name avatar")
+    .sort({ number: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select("-content"); // Exclude full content in list view
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+    data: revisions,
+  });
+});
+
+// @desc    Get a single revision of a post
+// @route   GET /api/posts/:id/revisions/:revId
+// @access  Private/Editor/Owner
+const getRevision = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(req, res);
+  if (!post) {
+    return;
+  }
+
+  const revision = await PostRevision.findOne({
+    _id: req.params.revId,
+    post: post._id,
+  })
+    .populate("editor", "name avatar")
+    .populate("category", "name slug color")
+    .populate("tags", "name slug color");
+
+  if (!revision) {
+    return revisionNotFound(res, req.params.revId);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: revision,
+  });
+});
+
+// @desc    Word-level diff between two revisions of a post
+// @route   GET /api/posts/:id/revisions/diff?from=&to=
+// @access  Private/Editor/Owner
+const getRevisionDiff = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(req, res);
+  if (!post) {
+    return;
+  }
+
+  if (!req.query.from) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide the revision to compare from",
+    });
+  }
+
+  const from = await PostRevision.findOne({
+    _id: req.query.from,
+    post: post._id,
+  });
+  if (!from) {
+    return revisionNotFound(res, req.query.from);
+  }
+
+  // Compare against the latest revision unless told otherwise
+  const to = req.query.to
+    ? await PostRevision.findOne({ _id: req.query.to, post: post._id })
+    : await PostRevision.findOne({ post: post._id }).sort({ number: -1 });
+  if (!to) {
+    return revisionNotFound(res, req.query.to);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: { _id: from._id, number: from.number, createdAt: from.createdAt },
+      to: { _id: to._id, number: to.number, createdAt: to.createdAt },
+      changes: diffRevisions(from, to),
+    },
+  });
+});
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/posts/:id/revisions/:revId/restore
+// @access  Private/Editor/Owner
+const restoreRevision = asyncHandler(async (req, res, next) => {
+  const post = await findEditablePost(
+    req,
+    res,
+    "Not authorized to update this post"
+  );
+  if (!post) {
+    return;
+  }
+
+  const revision = await PostRevision.findOne({
+    _id: req.params.revId,
+    post: post._id,
+  });
+  if (!revision) {
+    return revisionNotFound(res, req.params.revId);
+  }
+
+  if (!(await Category.exists({ _id: revision.category }))) {
+    return res.status(409).json({
+      success: false,
+      message:
+        "The category of this revision no longer exists, choose another one before restoring",
+    });
+  }
+
+  // Tags deleted since the revision was made are left out
+  const tags = await Tag.find({ _id: { $in: revision.tags } }).select("_id");
+  const existingTags = tags.map((tag) => tag._id.toString());
+
+  const update = {};
+  REVISION_FIELDS.forEach((field) => {
+    update[field] = revision[field];
+  });
+  // Undefined values are dropped from updates, so clear the excerpt explicitly
+  update.excerpt = revision.excerpt || "";
+  update.tags = revision.tags.filter((tag) =>
+    existingTags.includes(tag.toString())
+  );
+
+  await ensureBaselineRevision(post);
+
+  const restored = await Post.findByIdAndUpdate(post._id, update, {
+    new: true,
+    runValidators: true,
+  })
+    .populate("author", "name email avatar")
+    .populate("category", "name slug color")
+    .populate("tags", "name slug color");
+
+  const newRevision = await recordRevision(restored, req.user._id, {
+    restoredFrom: revision.number,
+  });
+  if (newRevision) {
+    await reopenReview(req.user, restored);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: newRevision
+      ? `Post restored to revision ${revision.number}`
+      : `Post already matches revision ${revision.number}`,
+    data: {
+      post: restored,
+      revision: newRevision,
+    },
+  });
+});
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+};
@@ -0,0 +1,136 @@
+const { validationResult } = require("express-validator");
+const Role = require("../models/Role");
+const asyncHandler = require("../middlewares/async");
+const { clearPermissionCache } = require("../utils/permissions");
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+} = require("../config/permissions");
+
+// Permissions the admin role must keep so roles can always be managed
+const LOCKED_ADMIN_PERMISSIONS = ["role.manage", "user.manage"];
+
+// @desc    Get all roles with their permissions
+// @route   GET /api/roles
+// @access  Private/Admin
+const getRoles = asyncHandler(async (req, res, next) => {
+  const stored = await Role.find().populate("updatedBy", "name email");
+
+  const roles = ROLES.map((name) => {
+    const role = stored.find((r) => r.name === name);
+    return role
+      ? { ...role.toJSON(), isDefault: false }
+      : { name, permissions: DEFAULT_ROLE_PERMISSIONS[name], isDefault: true };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles,
+  });
+});
+
+// @desc    Get permission registry
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+const getPermissions = asyncHandler(async (req, res, next) => {
+  const permissions = Object.entries(PERMISSIONS).map(
+    ([name, description]) => ({
+      name,
+      description,
+    })
+  );
+
+  res.status(200).json({
+    success: true,
+    count: permissions.length,
+    data: permissions,
+  });
+});
+
+// @desc    Update role permissions
+// @route   PUT /api/roles/:name
+// @access  Private/Admin
+const updateRole = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { name } = req.params;
+
+  if (!ROLES.includes(name)) {
+    return res.status(404).json({
+      success: false,
+      message: `Role not found with name of ${name}`,
+    });
+  }
+
+  const permissions = [...new Set(req.body.permissions)];
+
+  if (
+    name === "admin" &&
+    !LOCKED_ADMIN_PERMISSIONS.every((p) => permissions.includes(p))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `The admin role must keep ${LOCKED_ADMIN_PERMISSIONS.join(
+        " and "
+      )}`,
+    });
+  }
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { permissions, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  clearPermissionCache();
+
+  res.status(200).json({
+    success: true,
+    message: "Role updated successfully",
+    data: role,
+  });
+});
+
+// @desc    Restore default role permissions
+// @route   POST /api/roles/:name/reset
+// @access  Private/Admin
+const resetRole = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+
+  if (!ROLES.includes(name)) {
+    return res.status(404).json({
+      success: false,
+      message: `Role not found with name of ${name}`,
+    });
+  }
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { permissions: DEFAULT_ROLE_PERMISSIONS[name], updatedBy: req.user._id },
+    { new: true, upsert: true }
+  );
+
+  clearPermissionCache();
+
+  res.status(200).json({
+    success: true,
+    message: "Role permissions reset to defaults",
+    data: role,
+  });
+});
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  updateRole,
+  resetRole,
+};
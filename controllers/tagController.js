@@ -2,6 +2,8 @@ const { validationResult } = require("express-validator");
 const Tag = require("../models/Tag");
 const Post = require("../models/Post");
 const asyncHandler = require("../middlewares/async");
+const { findSlugRedirect, sendSlugRedirect } = require("../utils/slugs");
+const { moveToTrash } = require("../utils/trash");
 
 // @desc    Get all tags
 // @route   GET /api/tags
@@ -45,6 +47,23 @@ const getTags = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Respond with a tag and its number of published posts
+const sendTag = async (res, tag) => {
+  // Count posts with this tag
+  const postCount = await Post.countDocuments({
+    tags: tag._id,
+    ...Post.publicFilter(),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...tag.toObject(),
+      postCount,
+    },
+  });
+};
+
 // @desc    Get single tag
 // @route   GET /api/tags/:id
 // @access  Public
@@ -58,20 +77,29 @@ const getTag = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Count posts with this tag
-  const postCount = await Post.countDocuments({
-    tags: tag._id,
-    status: "published",
-    isActive: true,
-  });
+  await sendTag(res, tag);
+});
 
-  res.status(200).json({
-    success: true,
-    data: {
-      ...tag.toObject(),
-      postCount,
-    },
-  });
+// @desc    Get single tag by slug
+// @route   GET /api/tags/slug/:slug
+// @access  Public
+const getTagBySlug = asyncHandler(async (req, res, next) => {
+  const tag = await Tag.findOne({ slug: req.params.slug });
+
+  if (!tag) {
+    // Old slugs redirect to the tag's current one
+    const current = await findSlugRedirect(Tag, "tag", req.params.slug);
+    if (current) {
+      return sendSlugRedirect(req, res, current);
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: `Tag not found with slug of ${req.params.slug}`,
+    });
+  }
+
+  await sendTag(res, tag);
 });
 
 // @desc    Create tag
@@ -90,12 +118,14 @@ const createTag = asyncHandler(async (req, res, next) => {
   // Check if tag exists
   const existingTag = await Tag.findOne({
     name: { $regex: new RegExp(`^${req.body.name}$`, "i") },
-  });
+  }).withDeleted();
 
   if (existingTag) {
     return res.status(400).json({
       success: false,
-      message: "Tag already exists with this name",
+      message: existingTag.deletedAt
+        ? "A tag with this name is in the trash, restore it instead"
+        : "Tag already exists with this name",
     });
   }
 
@@ -134,12 +164,14 @@ const updateTag = asyncHandler(async (req, res, next) => {
   if (req.body.name && req.body.name.toLowerCase() !== tag.name.toLowerCase()) {
     const existingTag = await Tag.findOne({
       name: { $regex: new RegExp(`^${req.body.name}$`, "i") },
-    });
+    }).withDeleted();
 
     if (existingTag) {
       return res.status(400).json({
         success: false,
-        message: "Tag already exists with this name",
+        message: existingTag.deletedAt
+          ? "A tag with this name is in the trash, restore it instead"
+          : "Tag already exists with this name",
       });
     }
   }
@@ -169,21 +201,18 @@ const deleteTag = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if tag is being used by any posts
-  const postsUsingTag = await Post.countDocuments({ tags: tag._id });
-
-  if (postsUsingTag > 0) {
-    return res.status(400).json({
+  // Refused while posts use the tag (see config/integrity.js)
+  const blocked = await moveToTrash("tag", tag, req.user);
+  if (blocked) {
+    return res.status(blocked.statusCode).json({
       success: false,
-      message: `Cannot delete tag. It is being used by ${postsUsingTag} post(s)`,
+      message: blocked.message,
     });
   }
 
-  await Tag.findByIdAndDelete(req.params.id);
-
   res.status(200).json({
     success: true,
-    message: "Tag deleted successfully",
+    message: "Tag moved to trash",
   });
 });
 
@@ -200,6 +229,17 @@ const getTagStats = asyncHandler(async (req, res, next) => {
         as: "posts",
       },
     },
+    // Trashed posts do not count
+    {
+      $set: {
+        posts: {
+          $filter: {
+            input: "$posts",
+            cond: { $not: ["$$this.deletedAt"] },
+          },
+        },
+      },
+    },
     {
       $addFields: {
         postCount: { $size: "$posts" },
@@ -251,6 +291,17 @@ const getPopularTags = asyncHandler(async (req, res, next) => {
         as: "posts",
       },
     },
+    // Trashed posts do not count
+    {
+      $set: {
+        posts: {
+          $filter: {
+            input: "$posts",
+            cond: { $not: ["$$this.deletedAt"] },
+          },
+        },
+      },
+    },
     {
       $addFields: {
         publishedPostCount: {
@@ -296,6 +347,7 @@ const getPopularTags = asyncHandler(async (req, res, next) => {
 module.exports = {
   getTags,
   getTag,
+  getTagBySlug,
   createTag,
   updateTag,
   deleteTag,
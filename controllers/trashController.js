@@ -0,0 +1,88 @@
+const asyncHandler = require("../middlewares/async");
+const {
+  TRASH_TYPES,
+  trashRetentionDays,
+  listTrash,
+  restoreFromTrash,
+} = require("../utils/trash");
+
+const TYPE_NAMES = Object.keys(TRASH_TYPES);
+
+const typeLabel = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+// @desc    Get trashed items, newest first
+// @route   GET /api/trash
+// @access  Private/Admin
+const getTrash = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  if (req.query.type && !TYPE_NAMES.includes(req.query.type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${TYPE_NAMES.join(", ")}`,
+    });
+  }
+
+  const types = req.query.type ? [req.query.type] : TYPE_NAMES;
+  const { items, total } = await listTrash(types, { skip, limit });
+
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    retentionDays: trashRetentionDays(),
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+    data: items,
+  });
+});
+
+// @desc    Restore a trashed item
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private/Admin
+const restoreTrashItem = asyncHandler(async (req, res, next) => {
+  const { type, id } = req.params;
+
+  if (!TYPE_NAMES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${TYPE_NAMES.join(", ")}`,
+    });
+  }
+
+  const doc = await TRASH_TYPES[type].Model.findOne({
+    _id: id,
+    deletedAt: { $ne: null },
+  });
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      message: `No ${type} with id of ${id} in the trash`,
+    });
+  }
+
+  const blocked = await restoreFromTrash(type, doc);
+  if (blocked) {
+    return res.status(blocked.statusCode).json({
+      success: false,
+      message: blocked.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${typeLabel(type)} restored`,
+    data: { type, _id: doc._id },
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+};
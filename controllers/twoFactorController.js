@@ -0,0 +1,252 @@
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+const asyncHandler = require("../middlewares/async");
+const {
+  hashToken,
+  issueTokens,
+  markSessionMfa,
+  verifyTwoFactorChallenge,
+} = require("../utils/tokens");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+} = require("../utils/totp");
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep";
+
+// Check a TOTP or recovery code against the user's enrolment.
+// Consumes the code on success; the caller must save the user.
+const checkSecondFactor = (user, code) => {
+  const step = verifyTotp(user.twoFactorSecret, code, {
+    lastStep: user.twoFactorLastStep ?? -1,
+  });
+  if (step !== null) {
+    user.twoFactorLastStep = step;
+    return true;
+  }
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = (user.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (index !== -1) {
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is already enabled",
+    });
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app, then verify a code",
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl(
+        secret,
+        user.email,
+        process.env.TWO_FACTOR_ISSUER || "Blog API"
+      ),
+    },
+  });
+});
+
+// @desc    Confirm enrolment with a code and enable two-factor auth
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+const verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorPendingSecret"
+  );
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is already enabled",
+    });
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: "Start two-factor setup first",
+    });
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid two-factor code",
+    });
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastStep = step;
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashToken);
+  await user.save({ validateBeforeSave: false });
+
+  // The current session just proved possession of the second factor
+  await markSessionMfa(req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store these recovery codes safely, they will not be shown again",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// @desc    Disable two-factor auth
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(
+    `+password ${TWO_FACTOR_FIELDS}`
+  );
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is not enabled",
+    });
+  }
+
+  const isMatch = await user.comparePassword(req.body.password);
+  if (!isMatch || !checkSecondFactor(user, req.body.code)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid password or two-factor code",
+    });
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Complete login with a second factor
+// @route   POST /api/auth/2fa/login
+// @access  Public
+const loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const decoded = verifyTwoFactorChallenge(req.body.challengeToken);
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired challenge, please log in again",
+    });
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired challenge, please log in again",
+    });
+  }
+
+  if (user.isLocked()) {
+    await LoginAttempt.record(req, { user, outcome: "locked" });
+    const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(
+        retryAfter / 60
+      )} minute(s)`,
+    });
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (!checkSecondFactor(user, req.body.code)) {
+    await user.registerFailedLogin();
+    await LoginAttempt.record(req, { user, outcome: "two_factor_failed" });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid two-factor code",
+    });
+  }
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save({ validateBeforeSave: false });
+  await LoginAttempt.record(req, { user, outcome: "success" });
+
+  const { token, refreshToken } = await issueTokens(user, req, { mfa: true });
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user,
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    },
+  });
+});
+
+module.exports = {
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  loginTwoFactor,
+};
@@ -1,7 +1,21 @@
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const {
+  generateToken,
+  revokeFamily,
+  revokeAllForUser,
+} = require("../utils/tokens");
+const { can } = require("../utils/permissions");
+const { moveToTrash, trashRetentionDays } = require("../utils/trash");
+const { findTargets, runBulk, sendBulkResults } = require("../utils/bulk");
 const asyncHandler = require("../middlewares/async");
 
+// Filters a bulk request may select users by
+const BULK_FILTER_FIELDS = ["role", "isActive"];
+
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private/Admin
@@ -85,7 +99,9 @@ const createUser = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user exists
-  const existingUser = await User.findOne({ email: req.body.email });
+  const existingUser = await User.findOne({
+    email: req.body.email,
+  }).withDeleted();
   if (existingUser) {
     return res.status(400).json({
       success: false,
@@ -126,7 +142,9 @@ const updateUser = asyncHandler(async (req, res, next) => {
 
   // Check if email is being changed and if it already exists
   if (req.body.email && req.body.email !== user.email) {
-    const existingUser = await User.findOne({ email: req.body.email });
+    const existingUser = await User.findOne({
+      email: req.body.email,
+    }).withDeleted();
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -154,6 +172,15 @@ const updateUser = asyncHandler(async (req, res, next) => {
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 const deleteUser = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
   const user = await User.findById(req.params.id);
 
   if (!user) {
@@ -171,11 +198,42 @@ const deleteUser = asyncHandler(async (req, res, next) => {
     });
   }
 
-  await User.findByIdAndDelete(req.params.id);
+  let reassignTo;
+  if (req.query.reassignTo) {
+    // Content is handed over at the purge, which never comes when the trash
+    // is kept forever
+    if (trashRetentionDays() <= 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "reassignTo cannot be used while TRASH_RETENTION_DAYS=0 keeps trashed users forever",
+      });
+    }
+
+    reassignTo = await User.findOne({
+      _id: req.query.reassignTo,
+      isActive: true,
+    }).select("name");
+
+    if (!reassignTo || reassignTo._id.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "reassignTo must be another active user",
+      });
+    }
+  }
+
+  // Posts and comments go to reassignTo, or follow ACCOUNT_DELETION_CONTENT,
+  // once the account is purged
+  await moveToTrash("user", user, req.user, {
+    reassignTo: reassignTo && reassignTo._id,
+  });
 
   res.status(200).json({
     success: true,
-    message: "User deleted successfully",
+    message: reassignTo
+      ? `User moved to trash, their posts and comments will go to ${reassignTo.name} when it is purged`
+      : "User moved to trash",
   });
 });
 
@@ -210,6 +268,318 @@ const toggleUserStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get login attempts for a user
+// @route   GET /api/users/:id/login-attempts
+// @access  Private/Admin
+const getUserLoginAttempts = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: `User not found with id of ${req.params.id}`,
+    });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  // Include attempts against the email that did not resolve to the account
+  let query = { $or: [{ user: user._id }, { email: user.email }] };
+
+  // Filter by outcome
+  if (req.query.outcome) {
+    query.outcome = req.query.outcome;
+  }
+
+  const total = await LoginAttempt.countDocuments(query);
+  const attempts = await LoginAttempt.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const pages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    count: attempts.length,
+    lock: {
+      isLocked: user.isLocked(),
+      lockUntil: user.lockUntil || null,
+      failedLoginAttempts: user.failedLoginAttempts,
+    },
+    pagination: {
+      page,
+      limit,
+      pages,
+      total,
+    },
+    data: attempts,
+  });
+});
+
+// @desc    Unlock user account after failed logins
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: `User not found with id of ${req.params.id}`,
+    });
+  }
+
+  await user.resetLoginAttempts();
+
+  res.status(200).json({
+    success: true,
+    message: "User account unlocked successfully",
+    data: user,
+  });
+});
+
+// @desc    Get active sessions of a user
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+const getUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: `User not found with id of ${req.params.id}`,
+    });
+  }
+
+  const sessions = await Session.find({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions,
+  });
+});
+
+// @desc    Force logout of all sessions of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+const revokeUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: `User not found with id of ${req.params.id}`,
+    });
+  }
+
+  await revokeAllForUser(user._id, "admin");
+
+  res.status(200).json({
+    success: true,
+    message: "All sessions of the user have been signed out",
+  });
+});
+
+// @desc    Force logout of a single session of a user
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+const revokeUserSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    user: req.params.id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: `Session not found with id of ${req.params.sessionId}`,
+    });
+  }
+
+  await revokeFamily(session._id.toString(), "admin");
+
+  res.status(200).json({
+    success: true,
+    message: "Session signed out successfully",
+  });
+});
+
+// @desc    Start impersonating a user
+// @route   POST /api/users/:id/impersonate
+// @access  Private/Admin
+const impersonateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: `User not found with id of ${req.params.id}`,
+    });
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: "Admin cannot impersonate themselves",
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: "Cannot impersonate a deactivated user",
+    });
+  }
+
+  // Acting as another administrator would hand out their privileges
+  if (await can(user, "user.manage")) {
+    return res.status(403).json({
+      success: false,
+      message: "Cannot impersonate a user who manages accounts",
+    });
+  }
+
+  const minutes = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES, 10) || 15;
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  const session = await Session.create({
+    user: user._id,
+    impersonatedBy: req.user._id,
+    ip: req.ip,
+    lastSeenIp: req.ip,
+    userAgent: req.get("user-agent"),
+    mfa: !!req.sessionMfa,
+    expiresAt,
+  });
+
+  const token = await generateToken(user._id, session._id.toString(), {
+    actor: req.user._id,
+    expiresIn: minutes * 60,
+  });
+
+  await AuditLog.create({
+    actor: req.user._id,
+    user: user._id,
+    action: "impersonation.start",
+    session: session._id,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode: 201,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Impersonating ${user.name} until ${expiresAt.toISOString()}`,
+    data: {
+      user,
+      token,
+      expiresAt,
+      impersonator: {
+        _id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+      },
+    },
+  });
+});
+
+// @desc    Get audit log entries
+// @route   GET /api/users/audit-log
+// @access  Private/Admin
+const getAuditLog = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  ["actor", "user", "action", "session"].forEach((field) => {
+    if (req.query[field]) {
+      query[field] = String(req.query[field]);
+    }
+  });
+
+  const total = await AuditLog.countDocuments(query);
+  const entries = await AuditLog.find(query)
+    .populate("actor", "name email")
+    .populate("user", "name email")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const pages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination: {
+      page,
+      limit,
+      pages,
+      total,
+    },
+    data: entries,
+  });
+});
+
+// @desc    Activate or deactivate many users
+// @route   POST /api/users/bulk
+// @access  Private/Admin
+const bulkUsers = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const name = req.body.action;
+  const dryRun = !!req.body.dryRun;
+  const isActive = name === "activate";
+
+  const action = {
+    label: isActive ? "activated" : "deactivated",
+    check: (user) => {
+      // Prevent admin from deactivating themselves
+      if (!isActive && user._id.equals(req.user._id)) {
+        return {
+          statusCode: 400,
+          message: "Admin cannot deactivate their own account",
+        };
+      }
+      return null;
+    },
+    apply: async (user) => {
+      user.isActive = isActive;
+      await user.save();
+    },
+  };
+
+  const targets = await findTargets(User, req.body, BULK_FILTER_FIELDS);
+  if (targets.statusCode) {
+    return res.status(targets.statusCode).json({
+      success: false,
+      message: targets.message,
+    });
+  }
+
+  const results = await runBulk({ name: "User", ...targets, action, dryRun });
+
+  sendBulkResults(res, { action: name, dryRun, results });
+});
+
 module.exports = {
   getUsers,
   getUser,
@@ -217,4 +587,12 @@ module.exports = {
   updateUser,
   deleteUser,
   toggleUserStatus,
+  getUserLoginAttempts,
+  unlockUser,
+  getUserSessions,
+  revokeUserSessions,
+  revokeUserSession,
+  impersonateUser,
+  getAuditLog,
+  bulkUsers,
 };
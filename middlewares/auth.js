@@ -1,55 +1,236 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const AuditLog = require("../models/AuditLog");
+const {
+  hashToken,
+  generateToken,
+  verifyAccessToken,
+  findActiveSession,
+  touchSession,
+} = require("../utils/tokens");
+const { can } = require("../utils/permissions");
+const { isPasswordExpired } = require("../utils/passwordPolicy");
 
-// Protect routes - require authentication
-const protect = async (req, res, next) => {
+// Read an API key from X-API-Key or "Authorization: ApiKey <key>"
+const getApiKey = (req) => {
+  if (req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
+
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("ApiKey ")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  return null;
+};
+
+const getBearerToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  return null;
+};
+
+// Middleware of the matched route for the request method
+const routeHandlers = (req) => {
+  if (!req.route) {
+    return [];
+  }
+
+  const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+  return req.route.stack
+    .filter((layer) => layer.method === method)
+    .map((layer) => layer.handle);
+};
+
+// Scopes declared by requireScope() on the matched route and method, if any
+const routeScopes = (req) =>
+  routeHandlers(req).flatMap((handle) => handle.requiredScopes || []);
+
+// Authenticate with an API key. Keys only work on routes that declare the
+// scopes they need, so routes without requireScope() stay session-only.
+const authenticateApiKey = async (req, rawKey) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+
+  if (!apiKey || !apiKey.isUsable()) {
+    return { status: 401, message: "Invalid or expired API key" };
+  }
+
+  if (routeScopes(req).length === 0) {
+    return {
+      status: 403,
+      message: "This route cannot be accessed with an API key",
+    };
+  }
+
+  req.user = await User.findById(apiKey.user).select("-password");
+
+  if (!req.user || !req.user.isActive) {
+    return { status: 401, message: "User account is deactivated" };
+  }
+
+  req.apiKey = apiKey;
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+
+  return null;
+};
+
+// Authenticate with a JWT access token
+const authenticateToken = async (req, token) => {
+  let decoded;
   try {
-    let token;
-
-    // Get token from header
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    return { status: 401, message: "Not authorized to access this route" };
+  }
+
+  // Reject tokens whose session was logged out or revoked
+  const session = decoded.sid && (await findActiveSession(decoded.sid));
+  if (!session) {
+    return {
+      status: 401,
+      message: "Session has been revoked, please log in again",
+    };
+  }
+
+  // Get user from token
+  req.user = await User.findById(decoded.id).select("-password");
+
+  if (!req.user) {
+    return { status: 401, message: "No user found with this token" };
+  }
+
+  if (!req.user.isActive) {
+    return { status: 401, message: "User account is deactivated" };
+  }
+
+  // Impersonation tokens must match their session and a still-active admin
+  if (decoded.act || session.impersonatedBy) {
+    const impersonator =
+      decoded.act &&
+      session.impersonatedBy &&
+      session.impersonatedBy.toString() === decoded.act.sub &&
+      (await User.findById(decoded.act.sub).select("-password"));
+
+    if (!impersonator || !impersonator.isActive) {
+      return { status: 401, message: "Impersonation session is not valid" };
     }
 
-    // Make sure token exists
-    if (!token) {
+    req.impersonator = impersonator;
+  }
+
+  // Expired passwords must be changed before anything else
+  if (
+    !req.impersonator &&
+    isPasswordExpired(req.user) &&
+    !routeHandlers(req).some((handle) => handle.allowsExpiredPassword)
+  ) {
+    return {
+      status: 403,
+      code: "password_expired",
+      message: "Your password has expired, please change it to continue",
+    };
+  }
+
+  req.sessionId = decoded.sid;
+  req.sessionMfa = session.mfa;
+  await touchSession(session, req);
+
+  return null;
+};
+
+// Resolve the request's credentials. Returns an error descriptor or null.
+const authenticate = (req) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    return authenticateApiKey(req, apiKey);
+  }
+
+  return authenticateToken(req, getBearerToken(req));
+};
+
+// Mark responses to impersonated requests and record them in the audit log
+const auditImpersonation = (req, res) => {
+  res.set("X-Impersonated-By", req.impersonator._id.toString());
+
+  res.on("finish", () => {
+    AuditLog.create({
+      actor: req.impersonator._id,
+      user: req.user._id,
+      action: "impersonation.request",
+      session: req.sessionId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    }).catch((error) => {
+      console.error(`Failed to write audit log: ${error.message}`);
+    });
+  });
+};
+
+// Protect routes - require authentication
+const protect = async (req, res, next) => {
+  try {
+    // Make sure credentials exist
+    if (!getApiKey(req) && !getBearerToken(req)) {
       return res.status(401).json({
         success: false,
         message: "Not authorized to access this route",
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const error = await authenticate(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select("-password");
+    if (req.impersonator) {
+      auditImpersonation(req, res);
+    }
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: "No user found with this token",
-        });
-      }
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error in authentication",
+    });
+  }
+};
 
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: "User account is deactivated",
-        });
-      }
+// Authenticate when valid credentials are sent, otherwise continue
+// anonymously, so an expired token never breaks a public read
+const optionalAuth = async (req, res, next) => {
+  try {
+    if (!getApiKey(req) && !getBearerToken(req)) {
+      return next();
+    }
 
-      next();
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized to access this route",
-      });
+    const error = await authenticate(req);
+    if (error) {
+      req.user = undefined;
+      req.apiKey = undefined;
+      req.impersonator = undefined;
+      return next();
     }
+
+    if (req.impersonator) {
+      auditImpersonation(req, res);
+    }
+
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -58,6 +239,69 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Let a route be used while the user's password is expired
+const allowExpiredPassword = (req, res, next) => next();
+allowExpiredPassword.allowsExpiredPassword = true;
+
+// Refuse account-level and destructive actions while impersonating
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: "This action is not allowed while impersonating a user",
+    });
+  }
+  next();
+};
+
+// Require API key scopes. Requests authenticated by session pass through.
+const requireScope = (...scopes) => {
+  const middleware = (req, res, next) => {
+    if (req.apiKey) {
+      const missing = scopes.filter(
+        (scope) => !req.apiKey.scopes.includes(scope)
+      );
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is missing required scope(s): ${missing.join(
+            ", "
+          )}`,
+        });
+      }
+    }
+    next();
+  };
+  middleware.requiredScopes = scopes;
+  return middleware;
+};
+
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES (e.g. "admin,editor")
+const twoFactorRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+// Optional policy: privileged roles must use two-factor authentication.
+// Returns an error message, or null when the request satisfies the policy.
+const twoFactorPolicyError = (req) => {
+  if (!twoFactorRequiredRoles().includes(req.user.role)) {
+    return null;
+  }
+
+  if (!req.user.twoFactorEnabled) {
+    return `Two-factor authentication must be enabled for the ${req.user.role} role`;
+  }
+
+  // API keys are issued by the account owner and carry no session
+  if (!req.sessionMfa && !req.apiKey) {
+    return "Please log in again using two-factor authentication";
+  }
+
+  return null;
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -74,42 +318,86 @@ const authorize = (...roles) => {
         message: `User role ${req.user.role} is not authorized to access this route`,
       });
     }
+
+    const twoFactorError = twoFactorPolicyError(req);
+    if (twoFactorError) {
+      return res.status(403).json({
+        success: false,
+        message: twoFactorError,
+      });
+    }
+
     next();
   };
 };
 
-// Check if user owns the resource or has higher permissions
-const checkOwnership = (resourceField = "author") => {
-  return (req, res, next) => {
-    // Admin can access everything
-    if (req.user.role === "admin") {
-      return next();
+// Grant access to users whose role holds all of the given permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to access this route",
+      });
     }
 
-    // For resources with author field
-    if (req.resource && req.resource[resourceField]) {
-      if (req.resource[resourceField].toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: "Not authorized to access this resource",
-        });
+    try {
+      for (const permission of permissions) {
+        if (!(await can(req.user, permission))) {
+          return res.status(403).json({
+            success: false,
+            message: `User role ${req.user.role} is not authorized to access this route`,
+          });
+        }
       }
+    } catch (error) {
+      return next(error);
+    }
+
+    const twoFactorError = twoFactorPolicyError(req);
+    if (twoFactorError) {
+      return res.status(403).json({
+        success: false,
+        message: twoFactorError,
+      });
     }
 
     next();
   };
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  });
+// Block users who have not verified their email address yet.
+// Disable with REQUIRE_EMAIL_VERIFICATION=false.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === "false") {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: "Not authorized to access this route",
+    });
+  }
+
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address to perform this action",
+    });
+  }
+
+  next();
 };
 
 module.exports = {
   protect,
+  optionalAuth,
+  requireScope,
   authorize,
-  checkOwnership,
+  requirePermission,
+  requireVerifiedEmail,
+  blockImpersonation,
+  allowExpiredPassword,
   generateToken,
 };
@@ -1,4 +1,34 @@
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
+const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const { PERMISSIONS } = require("../config/permissions");
+const { checkPassword } = require("../utils/passwordPolicy");
+const { hashToken } = require("../utils/tokens");
+const { FORMATS } = require("../utils/content");
+const { CONTRIBUTOR_ROLES } = require("../config/contributors");
+
+// Check a new password against the password policy. A failure's msg is
+// { message, reasons: [{ code, message }] }. `getUser` loads the account
+// (with +password +passwordHistory) so reuse of old passwords is caught.
+const passwordPolicyRule = (field, getUser) =>
+  body(field).custom(async (value, { req }) => {
+    const user = getUser ? await getUser(req) : null;
+    const reasons = await checkPassword(value, { user });
+
+    if (reasons.length > 0) {
+      throw { message: "Password does not meet the password policy", reasons };
+    }
+    return true;
+  });
+
+// Optional custom slug for posts, categories and tags
+const slugRule = () =>
+  body("slug")
+    .optional()
+    .isSlug()
+    .withMessage(
+      "Slug can only contain lowercase letters, numbers and single hyphens"
+    );
 
 // Auth validation rules
 const registerValidation = [
@@ -10,17 +40,7 @@ const registerValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage("Please provide a valid email"),
-  body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters long")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
-    ),
-  body("role")
-    .optional()
-    .isIn(["user", "editor", "admin"])
-    .withMessage("Role must be user, editor, or admin"),
+  passwordPolicyRule("password"),
 ];
 
 const loginValidation = [
@@ -31,6 +51,53 @@ const loginValidation = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+const refreshTokenValidation = [
+  body("refreshToken").notEmpty().withMessage("Refresh token is required"),
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+];
+
+const magicLinkValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+];
+
+const resetPasswordValidation = [
+  passwordPolicyRule("password", (req) =>
+    User.findOne({ passwordResetToken: hashToken(req.params.token) }).select(
+      "+password +passwordHistory"
+    )
+  ),
+];
+
+const twoFactorCodeValidation = [
+  body("code").notEmpty().withMessage("Two-factor code is required"),
+];
+
+const twoFactorDisableValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  body("code").notEmpty().withMessage("Two-factor code is required"),
+];
+
+const twoFactorLoginValidation = [
+  body("challengeToken")
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  body("code").notEmpty().withMessage("Two-factor code is required"),
+];
+
 const updateProfileValidation = [
   body("name")
     .optional()
@@ -48,13 +115,43 @@ const changePasswordValidation = [
   body("currentPassword")
     .notEmpty()
     .withMessage("Current password is required"),
-  body("newPassword")
-    .isLength({ min: 6 })
-    .withMessage("New password must be at least 6 characters long")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      "New password must contain at least one uppercase letter, one lowercase letter, and one number"
-    ),
+  passwordPolicyRule("newPassword", (req) =>
+    User.findById(req.user._id).select("+password +passwordHistory")
+  ),
+];
+
+const isFuture = (value) => {
+  if (new Date(value) <= new Date()) {
+    throw new Error("Date must be in the future");
+  }
+  return true;
+};
+
+// Publish and unpublish times shared by create and update. An update may
+// schedule a post with the time already stored, so updatePost checks that one.
+const postScheduleRules = [
+  body("scheduledFor")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("scheduledFor must be an ISO 8601 date")
+    .bail()
+    .custom(isFuture),
+  body("unpublishAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("unpublishAt must be an ISO 8601 date")
+    .bail()
+    .custom(isFuture)
+    .bail()
+    .custom((value, { req }) => {
+      if (
+        req.body.scheduledFor &&
+        new Date(value) <= new Date(req.body.scheduledFor)
+      ) {
+        throw new Error("unpublishAt must be after scheduledFor");
+      }
+      return true;
+    }),
 ];
 
 // Post validation rules
@@ -67,6 +164,10 @@ const createPostValidation = [
     .trim()
     .isLength({ min: 50 })
     .withMessage("Content must be at least 50 characters long"),
+  body("format")
+    .optional()
+    .isIn(FORMATS)
+    .withMessage("Format must be markdown, html, or plain"),
   body("excerpt")
     .optional()
     .isLength({ max: 300 })
@@ -81,12 +182,18 @@ const createPostValidation = [
     .withMessage("Each tag must be a valid tag ID"),
   body("status")
     .optional()
-    .isIn(["draft", "published", "archived"])
-    .withMessage("Status must be draft, published, or archived"),
+    .isIn(["draft", "scheduled", "published", "archived"])
+    .withMessage("Status must be draft, scheduled, published, or archived"),
+  body("scheduledFor")
+    .if(body("status").equals("scheduled"))
+    .notEmpty()
+    .withMessage("Please provide scheduledFor when scheduling a post"),
+  ...postScheduleRules,
   body("featuredImage")
     .optional()
     .isURL()
     .withMessage("Featured image must be a valid URL"),
+  slugRule(),
 ];
 
 const updatePostValidation = [
@@ -100,6 +207,10 @@ const updatePostValidation = [
     .trim()
     .isLength({ min: 50 })
     .withMessage("Content must be at least 50 characters long"),
+  body("format")
+    .optional()
+    .isIn(FORMATS)
+    .withMessage("Format must be markdown, html, or plain"),
   body("excerpt")
     .optional()
     .isLength({ max: 300 })
@@ -115,12 +226,44 @@ const updatePostValidation = [
     .withMessage("Each tag must be a valid tag ID"),
   body("status")
     .optional()
-    .isIn(["draft", "published", "archived"])
-    .withMessage("Status must be draft, published, or archived"),
+    .isIn(["draft", "scheduled", "published", "archived"])
+    .withMessage("Status must be draft, scheduled, published, or archived"),
+  ...postScheduleRules,
   body("featuredImage")
     .optional()
     .isURL()
     .withMessage("Featured image must be a valid URL"),
+  slugRule(),
+];
+
+// Editorial review validation rules
+const submitPostValidation = [
+  body("note")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Note cannot be more than 1000 characters"),
+];
+
+const reviewPostValidation = [
+  body("decision")
+    .isIn(["approved", "changes_requested", "comment"])
+    .withMessage("Decision must be approved, changes_requested, or comment"),
+  body("comment")
+    .if(body("decision").not().equals("approved"))
+    .trim()
+    .notEmpty()
+    .withMessage("Please explain what should change"),
+  body("comment")
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage("Review comment cannot be more than 2000 characters"),
+];
+
+const assignReviewersValidation = [
+  body("reviewers").isArray().withMessage("Reviewers must be an array"),
+  body("reviewers.*")
+    .isMongoId()
+    .withMessage("Each reviewer must be a valid user ID"),
 ];
 
 // Comment validation rules
@@ -156,6 +299,7 @@ const createCategoryValidation = [
     .optional()
     .matches(/^#[0-9A-F]{6}$/i)
     .withMessage("Color must be a valid hex color code"),
+  slugRule(),
 ];
 
 const updateCategoryValidation = [
@@ -172,6 +316,7 @@ const updateCategoryValidation = [
     .optional()
     .matches(/^#[0-9A-F]{6}$/i)
     .withMessage("Color must be a valid hex color code"),
+  slugRule(),
 ];
 
 // Tag validation rules
@@ -184,6 +329,7 @@ const createTagValidation = [
     .optional()
     .matches(/^#[0-9A-F]{6}$/i)
     .withMessage("Color must be a valid hex color code"),
+  slugRule(),
 ];
 
 const updateTagValidation = [
@@ -196,9 +342,18 @@ const updateTagValidation = [
     .optional()
     .matches(/^#[0-9A-F]{6}$/i)
     .withMessage("Color must be a valid hex color code"),
+  slugRule(),
 ];
 
 // User management validation
+const createUserValidation = [
+  ...registerValidation,
+  body("role")
+    .optional()
+    .isIn(["user", "editor", "admin"])
+    .withMessage("Role must be user, editor, or admin"),
+];
+
 const updateUserValidation = [
   body("name")
     .optional()
@@ -220,18 +375,179 @@ const updateUserValidation = [
     .withMessage("isActive must be a boolean value"),
 ];
 
+const deleteUserValidation = [
+  query("reassignTo")
+    .optional()
+    .isMongoId()
+    .withMessage("reassignTo must be a valid user ID"),
+];
+
+// Invite validation rules
+const createInviteValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+  body("role")
+    .isIn(["editor", "admin"])
+    .withMessage("Role must be editor or admin"),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("expiresInDays must be between 1 and 30"),
+];
+
+const acceptInviteValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+  passwordPolicyRule("password"),
+];
+
+const deleteAccountValidation = [
+  body("password").optional().isString(),
+  body("confirmEmail").optional().isString(),
+  body("content")
+    .optional()
+    .isIn(["anonymize", "delete"])
+    .withMessage("Content must be either anonymize or delete"),
+];
+
+// API key validation rules
+const createApiKeyValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array"),
+  body("scopes.*")
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Each scope must be one of: ${ApiKey.SCOPES.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("expiresInDays must be between 1 and 365"),
+];
+
+const updateApiKeyValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+  body("scopes")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array"),
+  body("scopes.*")
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Each scope must be one of: ${ApiKey.SCOPES.join(", ")}`),
+];
+
+// Contributor validation rules
+const setContributorsValidation = [
+  body("contributors")
+    .isArray({ min: 1 })
+    .withMessage("Contributors must be a non-empty array"),
+  body("contributors.*")
+    .custom((contributor) => !contributor.user !== !contributor.name)
+    .withMessage("Each contributor needs either a user ID or a guest name"),
+  body("contributors.*.user")
+    .optional()
+    .isMongoId()
+    .withMessage("Each contributor user must be a valid user ID"),
+  body("contributors.*.name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Guest names must be between 1 and 100 characters"),
+  body("contributors.*.role")
+    .isIn(CONTRIBUTOR_ROLES)
+    .withMessage(`Each role must be one of: ${CONTRIBUTOR_ROLES.join(", ")}`),
+];
+
+// Bulk action validation rules, shared by posts, comments and users
+const bulkValidation = (actions) => [
+  body("action")
+    .isIn(actions)
+    .withMessage(`Action must be one of: ${actions.join(", ")}`),
+  body("ids")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("ids must be a non-empty array"),
+  body("ids.*").isMongoId().withMessage("Each id must be a valid ID"),
+  body("filter").optional().isObject().withMessage("filter must be an object"),
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean value"),
+];
+
+const bulkPostValidation = [
+  ...bulkValidation(["publish", "archive", "delete", "recategorize", "retag"]),
+  body("category")
+    .if(body("action").equals("recategorize"))
+    .isMongoId()
+    .withMessage("Please provide a valid category ID"),
+  body("tags")
+    .if(body("action").equals("retag"))
+    .isArray()
+    .withMessage("Tags must be an array"),
+  body("tags.*")
+    .optional()
+    .isMongoId()
+    .withMessage("Each tag must be a valid tag ID"),
+];
+
+const bulkCommentValidation = bulkValidation(["approve", "reject", "delete"]);
+
+const bulkUserValidation = bulkValidation(["activate", "deactivate"]);
+
+// Role validation rules
+const updateRoleValidation = [
+  body("permissions").isArray().withMessage("Permissions must be an array"),
+  body("permissions.*")
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage("Each permission must be a registered permission"),
+];
+
 module.exports = {
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  magicLinkValidation,
+  deleteAccountValidation,
+  resetPasswordValidation,
   updateProfileValidation,
   changePasswordValidation,
   createPostValidation,
   updatePostValidation,
+  submitPostValidation,
+  reviewPostValidation,
+  assignReviewersValidation,
+  setContributorsValidation,
   createCommentValidation,
   updateCommentValidation,
   createCategoryValidation,
   updateCategoryValidation,
   createTagValidation,
   updateTagValidation,
+  createUserValidation,
   updateUserValidation,
+  deleteUserValidation,
+  createInviteValidation,
+  acceptInviteValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  twoFactorLoginValidation,
+  createApiKeyValidation,
+  updateApiKeyValidation,
+  updateRoleValidation,
+  bulkPostValidation,
+  bulkCommentValidation,
+  bulkUserValidation,
 };
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+// Scopes an API key may carry
+const SCOPES = [
+  "posts:read",
+  "posts:write",
+  "comments:read",
+  "comments:write",
+  "comments:moderate",
+];
+
+// Scopes each role is allowed to grant to its own keys
+const ROLE_SCOPES = {
+  user: ["posts:read", "comments:read", "comments:write"],
+  editor: SCOPES,
+  admin: SCOPES,
+};
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please provide a name for the API key"],
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: SCOPES,
+        },
+      ],
+      validate: [
+        (scopes) => scopes.length > 0,
+        "Please provide at least one scope",
+      ],
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check whether the key can still be used
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Never expose the key hash
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+apiKeySchema.statics.SCOPES = SCOPES;
+apiKeySchema.statics.ROLE_SCOPES = ROLE_SCOPES;
+
+// Index for efficient queries
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
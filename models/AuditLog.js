@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Record of privileged actions, such as requests made while impersonating
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who performed the action
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The user the action was performed as or on
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    statusCode: {
+      type: Number,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
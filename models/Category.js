@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { sluggable } = require("../utils/slugs");
+const { softDeletable } = require("../utils/softDelete");
 
 const categorySchema = new mongoose.Schema(
   {
@@ -32,16 +34,10 @@ const categorySchema = new mongoose.Schema(
   }
 );
 
-// Generate slug from name before saving
-categorySchema.pre("save", function (next) {
-  if (this.name) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]/g, "-")
-      .replace(/-+/g, "-")
-      .replace(/^-|-$/g, "");
-  }
-  next();
-});
+// Unique slug from the name; old slugs redirect to the current one
+categorySchema.plugin(sluggable, { type: "category", source: "name" });
+
+// Deleting moves it to the trash
+categorySchema.plugin(softDeletable);
 
 module.exports = mongoose.model("Category", categorySchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { versioned } = require("../utils/concurrency");
+const { softDeletable } = require("../utils/softDelete");
 
 const commentSchema = new mongoose.Schema(
   {
@@ -57,6 +59,12 @@ const commentSchema = new mongoose.Schema(
   }
 );
 
+// Likes and new replies do not count as edits
+commentSchema.plugin(versioned, { ignore: ["likes", "replies"] });
+
+// Deleting moves it to the trash
+commentSchema.plugin(softDeletable);
+
 // Update replies array when a comment is added as a reply
 commentSchema.pre("save", async function (next) {
   if (this.isNew && this.parentComment) {
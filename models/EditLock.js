@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Advisory lock showing who is editing a resource. Locks run out on their
+// own; MongoDB removes expired ones.
+const editLockSchema = new mongoose.Schema(
+  {
+    resourceType: {
+      type: String,
+      enum: ["post"],
+      required: true,
+    },
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+editLockSchema.index({ resourceType: 1, resource: 1 }, { unique: true });
+editLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EditLock", editLockSchema);
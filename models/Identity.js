@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// An external identity (OIDC provider + subject) linked to a user
+const identitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // The provider's stable `sub` claim
+    subject: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+identitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+identitySchema.index({ user: 1 });
+
+module.exports = mongoose.model("Identity", identitySchema);
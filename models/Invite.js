@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const inviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Please provide an email"],
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["editor", "admin"],
+      required: [true, "Please provide a role"],
+    },
+    // SHA-256 of the token sent to the invitee
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Derived lifecycle state
+inviteSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Never expose the token hash
+inviteSchema.methods.toJSON = function () {
+  const invite = this.toObject({ virtuals: true });
+  delete invite.tokenHash;
+  return invite;
+};
+
+// Index for efficient queries
+inviteSchema.index({ email: 1, createdAt: -1 });
+inviteSchema.index({ invitedBy: 1 });
+
+module.exports = mongoose.model("Invite", inviteSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Lease on a scheduled job so only one API instance runs it at a time
+const jobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Instance holding the lease
+    owner: {
+      type: String,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
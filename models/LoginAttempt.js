@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    method: {
+      type: String,
+      enum: ["password", "oauth", "magic_link"],
+      default: "password",
+    },
+    // OAuth provider name for social logins
+    provider: {
+      type: String,
+    },
+    outcome: {
+      type: String,
+      enum: [
+        "success",
+        "invalid_password",
+        "unknown_user",
+        "locked",
+        "deactivated",
+        "two_factor_required",
+        "two_factor_failed",
+      ],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Record a login attempt from the current request
+loginAttemptSchema.statics.record = function (
+  req,
+  { user, email, outcome, method, provider }
+) {
+  return this.create({
+    user: user ? user._id : null,
+    email: email || (user && user.email),
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    method,
+    provider,
+    outcome,
+  });
+};
+
+// Index for efficient queries
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+// Keep 90 days of history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A passwordless sign-in link. Every request is stored, even when no email
+// goes out, so throttling behaves the same for known and unknown addresses.
+const magicLinkSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Name to use if the link registers a new account
+    name: {
+      type: String,
+      trim: true,
+    },
+    // SHA-256 of the token in the emailed link
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    requestedIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+magicLinkSchema.index({ email: 1, createdAt: -1 });
+// Let MongoDB drop links a day after they expire
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model("MagicLink", magicLinkSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Confirmations carry no provider request, only the identity to link
+function isAuthorization() {
+  return this.mode !== "confirm";
+}
+
+// A pending authorization request, consumed by the provider callback, or a
+// verified identity waiting for its account to confirm the link
+const oauthStateSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the `state` parameter sent to the provider, or of the
+    // confirmation token
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // PKCE verifier and ID token nonce for this request
+    codeVerifier: {
+      type: String,
+      required: isAuthorization,
+    },
+    nonce: {
+      type: String,
+      required: isAuthorization,
+    },
+    redirectUri: {
+      type: String,
+      required: isAuthorization,
+    },
+    mode: {
+      type: String,
+      enum: ["login", "link", "confirm"],
+      default: "login",
+    },
+    // Account to link the identity to (link and confirm modes)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Provider identity awaiting confirmation (confirm mode)
+    subject: String,
+    email: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop abandoned requests once they expire
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema);
@@ -1,4 +1,19 @@
 const mongoose = require("mongoose");
+const { FORMATS, renderContent } = require("../utils/content");
+const { sluggable } = require("../utils/slugs");
+const { versioned } = require("../utils/concurrency");
+const { softDeletable } = require("../utils/softDelete");
+const { CONTRIBUTOR_ROLES, OWNER_ROLES } = require("../config/contributors");
+
+const STATUSES = [
+  "draft",
+  "in_review",
+  "changes_requested",
+  "approved",
+  "scheduled",
+  "published",
+  "archived",
+];
 
 const postSchema = new mongoose.Schema(
   {
@@ -13,14 +28,38 @@ const postSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
     },
+    // Source as written by the author, in `format`
     content: {
       type: String,
       required: [true, "Please provide content"],
     },
+    format: {
+      type: String,
+      enum: FORMATS,
+      default: "markdown",
+    },
+    // Sanitized HTML rendered from content whenever it changes
+    contentHtml: {
+      type: String,
+    },
+    // Headings of the rendered content, with the ids they link to
+    toc: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        id: String,
+      },
+    ],
     excerpt: {
       type: String,
       maxlength: [300, "Excerpt cannot be more than 300 characters"],
     },
+    // Whether the excerpt was generated from the content rather than written
+    excerptGenerated: {
+      type: Boolean,
+      default: false,
+    },
     featuredImage: {
       type: String,
       default: "",
@@ -30,6 +69,27 @@ const postSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Everyone credited on the post, in byline order. Guests without an
+    // account are listed by name.
+    contributors: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [100, "Name cannot be more than 100 characters"],
+        },
+        role: {
+          type: String,
+          enum: CONTRIBUTOR_ROLES,
+          required: true,
+        },
+      },
+    ],
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -43,12 +103,43 @@ const postSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ["draft", "published", "archived"],
+      enum: STATUSES,
       default: "draft",
     },
     publishedAt: {
       type: Date,
     },
+    // Editors asked to review the post; anyone with post.review may when empty
+    reviewers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    submittedAt: {
+      type: Date,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    // When a scheduled post is published by the scheduler
+    scheduledFor: {
+      type: Date,
+      required: [
+        function () {
+          return this.status === "scheduled";
+        },
+        "Please provide a publish time for a scheduled post",
+      ],
+    },
+    // When a published post is archived by the scheduler
+    unpublishAt: {
+      type: Date,
+    },
     views: {
       type: Number,
       default: 0,
@@ -70,27 +161,80 @@ const postSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    id: false,
   }
 );
 
-// Generate slug from title before saving
-postSchema.pre("save", function (next) {
-  if (this.title && this.isModified("title")) {
-    this.slug =
-      this.title
-        .toLowerCase()
-        .replace(/[^a-zA-Z0-9]/g, "-")
-        .replace(/-+/g, "-")
-        .replace(/^-|-$/g, "") +
-      "-" +
-      Date.now();
+// Names of the authors and co-authors in the configured order, e.g.
+// "Jane Doe and John Roe". Needs contributors.user (or, for posts without
+// contributors, author) populated.
+postSchema.virtual("byline").get(function () {
+  const names = (this.contributors || [])
+    .filter((contributor) => OWNER_ROLES.includes(contributor.role))
+    .map((contributor) =>
+      contributor.user ? contributor.user.name : contributor.name
+    )
+    .filter(Boolean);
+
+  if (names.length === 0 && this.author && this.author.name) {
+    names.push(this.author.name);
+  }
+  if (names.length === 0) {
+    return undefined;
+  }
+
+  const last = names.pop();
+  return names.length > 0 ? `${names.join(", ")} and ${last}` : last;
+});
+
+// Render content to HTML and a table of contents. The excerpt is generated
+// when the author has not written one.
+postSchema.methods.renderContent = function () {
+  const { html, toc, excerpt } = renderContent(this.content, this.format);
+  this.contentHtml = html;
+  this.toc = toc;
+
+  if (!this.excerpt || this.excerptGenerated) {
+    this.excerpt = excerpt;
+    this.excerptGenerated = true;
   }
+};
+
+// Slug follows the title until the post is first published, so shared
+// links stay valid; old slugs redirect to the current one
+postSchema.plugin(sluggable, {
+  type: "post",
+  source: "title",
+  isLocked: (post) => !!post.publishedAt,
+});
+
+// Likes and view counts do not count as edits
+postSchema.plugin(versioned, { ignore: ["likes", "views"] });
 
+// Deleting moves it to the trash
+postSchema.plugin(softDeletable);
+
+postSchema.pre("save", function (next) {
   // Set published date when status changes to published
   if (this.status === "published" && !this.publishedAt) {
     this.publishedAt = new Date();
   }
 
+  // An excerpt written by the author replaces a generated one
+  if (this.isModified("excerpt") && this.excerpt) {
+    this.excerptGenerated = false;
+  }
+
+  if (
+    this.isModified("content") ||
+    this.isModified("format") ||
+    !this.contentHtml ||
+    !this.excerpt
+  ) {
+    this.renderContent();
+  }
+
   // Calculate read time based on content length (average 200 words per minute)
   if (this.content) {
     const wordCount = this.content.split(/\s+/).length;
@@ -100,11 +244,65 @@ postSchema.pre("save", function (next) {
   next();
 });
 
+// findByIdAndUpdate skips the save hook, so render here when the content,
+// format or excerpt is part of the update
+postSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+
+  if (!["content", "format", "excerpt"].some((field) => field in fields)) {
+    return;
+  }
+
+  const post = await this.model
+    .findOne(this.getQuery())
+    .select("content format excerpt excerptGenerated");
+  if (!post) {
+    return;
+  }
+
+  ["content", "format", "excerpt"].forEach((field) => {
+    if (fields[field] !== undefined) {
+      post[field] = fields[field];
+    }
+  });
+  if ("excerpt" in fields) {
+    post.excerptGenerated = !fields.excerpt;
+  }
+
+  post.renderContent();
+  this.set({
+    contentHtml: post.contentHtml,
+    toc: post.toObject().toc,
+    excerpt: post.excerpt,
+    excerptGenerated: post.excerptGenerated,
+  });
+});
+
+// Filter for posts the public may see. Published posts with a future
+// publish time or a past unpublish time stay hidden even if the scheduler
+// has not caught up yet.
+postSchema.statics.publicFilter = function () {
+  const now = new Date();
+  return {
+    status: "published",
+    isActive: true,
+    publishedAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } },
+  };
+};
+
+postSchema.statics.STATUSES = STATUSES;
+
 // Index for search functionality
 postSchema.index({ title: "text", content: "text" });
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ author: 1 });
+postSchema.index({ "contributors.user": 1 });
 postSchema.index({ category: 1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
+postSchema.index({ status: 1, unpublishAt: 1 });
+postSchema.index({ reviewers: 1, status: 1 });
 
 module.exports = mongoose.model("Post", postSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Editorial feedback on a post. Kept apart from reader comments and only
+// visible to the post's author and reviewers.
+const postReviewSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // "comment" leaves feedback without changing the post's status
+    decision: {
+      type: String,
+      enum: ["approved", "changes_requested", "comment"],
+      required: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Review comment cannot be more than 2000 characters"],
+    },
+    // Latest post revision when the review was left
+    revision: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+postReviewSchema.index({ post: 1, createdAt: -1 });
+postReviewSchema.index({ reviewer: 1 });
+
+module.exports = mongoose.model("PostReview", postReviewSchema);
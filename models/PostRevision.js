@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a post's editable content after a change. Revisions are never
+// modified; restoring one records a new revision instead.
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      immutable: true,
+    },
+    // Sequential per post, starting at 1
+    number: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    title: {
+      type: String,
+      immutable: true,
+    },
+    content: {
+      type: String,
+      immutable: true,
+    },
+    excerpt: {
+      type: String,
+      immutable: true,
+    },
+    format: {
+      type: String,
+      immutable: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      immutable: true,
+    },
+    tags: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Tag",
+        },
+      ],
+      immutable: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    // Set when the revision was created by restoring an older one
+    restoredFrom: {
+      type: Number,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Editors are reassigned when their account is deleted; nothing else may change
+const rejectUpdate = function (next) {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys(update).flatMap((key) =>
+    key.startsWith("$") ? Object.keys(update[key] || {}) : [key]
+  );
+
+  if (fields.some((field) => field !== "editor")) {
+    return next(new Error("Post revisions cannot be modified"));
+  }
+  next();
+};
+
+postRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate"],
+  rejectUpdate
+);
+postRevisionSchema.pre("replaceOne", function (next) {
+  next(new Error("Post revisions cannot be modified"));
+});
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+postRevisionSchema.index({ editor: 1 });
+
+module.exports = mongoose.model("PostRevision", postRevisionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS, ROLES } = require("../config/permissions");
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: ROLES,
+    },
+    permissions: [
+      {
+        type: String,
+        enum: Object.keys(PERMISSIONS),
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
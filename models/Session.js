@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. Refresh tokens issued for it share its id as family.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: {
+      type: String,
+    },
+    // Whether the session was established with a second factor
+    mfa: {
+      type: Boolean,
+      default: false,
+    },
+    // Admin acting as the user; impersonation sessions have no refresh token
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Pushed forward every time the refresh token is rotated
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "reuse", "password_reset", "revoked", "admin", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Let MongoDB drop sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    alg: {
+      type: String,
+      enum: ["RS256", "ES256"],
+      required: true,
+    },
+    publicKey: {
+      type: String,
+      required: true,
+    },
+    // PKCS#8 PEM, encrypted with JWT_KEY_PASSPHRASE when it is set
+    privateKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Only the active key signs new tokens
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+    // Retired keys keep verifying tokens until this date
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+signingKeySchema.index({ active: 1 });
+
+module.exports = mongoose.model("SigningKey", signingKeySchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Slugs a post, category or tag used to have, so old links can be
+// redirected to the current one
+const slugHistorySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["post", "category", "tag"],
+      required: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+    },
+    // Document the slug now redirects to
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+slugHistorySchema.index({ type: 1, slug: 1 }, { unique: true });
+slugHistorySchema.index({ target: 1 });
+
+module.exports = mongoose.model("SlugHistory", slugHistorySchema);
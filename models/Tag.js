@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { sluggable } = require("../utils/slugs");
+const { softDeletable } = require("../utils/softDelete");
 
 const tagSchema = new mongoose.Schema(
   {
@@ -28,16 +30,10 @@ const tagSchema = new mongoose.Schema(
   }
 );
 
-// Generate slug from name before saving
-tagSchema.pre("save", function (next) {
-  if (this.name) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]/g, "-")
-      .replace(/-+/g, "-")
-      .replace(/^-|-$/g, "");
-  }
-  next();
-});
+// Unique slug from the name; old slugs redirect to the current one
+tagSchema.plugin(sluggable, { type: "tag", source: "name" });
+
+// Deleting moves it to the trash
+tagSchema.plugin(softDeletable);
 
 module.exports = mongoose.model("Tag", tagSchema);
@@ -1,5 +1,11 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const {
+  getPasswordPolicy,
+  checkPasswordRules,
+} = require("../utils/passwordPolicy");
+const { softDeletable } = require("../utils/softDelete");
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,10 +27,40 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Please provide a password"],
-      minlength: [6, "Password must be at least 6 characters"],
+      required: [
+        function () {
+          return this.hasPassword;
+        },
+        "Please provide a password",
+      ],
+      // Only plain-text passwords are checked, never stored hashes
+      validate: {
+        validator: function (value) {
+          return (
+            !this.isModified("password") ||
+            checkPasswordRules(value).length === 0
+          );
+        },
+        message: (props) =>
+          checkPasswordRules(props.value)
+            .map((reason) => reason.message)
+            .join(", "),
+      },
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Hashes of previous passwords, newest first
+    passwordHistory: {
+      type: [String],
       select: false,
     },
+    // False for accounts created through social login until a password is set
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
     role: {
       type: String,
       enum: ["user", "editor", "admin"],
@@ -42,6 +78,80 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated by setup, promoted to twoFactorSecret once verified
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, to stop codes being replayed
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // Self-service deletion: the account is purged after the grace period
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+    },
+    deletionContent: {
+      type: String,
+      enum: ["anonymize", "delete"],
+    },
+    deletionStartedAt: {
+      type: Date,
+      default: null,
+    },
+    // Admin deletion: who gets the posts and comments when the trashed
+    // account is purged
+    deletionReassignTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -54,21 +164,128 @@ userSchema.pre("save", async function (next) {
     return next();
   }
 
+  // Remember the outgoing hash so it cannot be reused
+  if (!this.isNew) {
+    const previous = await this.constructor
+      .findById(this._id)
+      .select("+password +passwordHistory");
+
+    if (previous && previous.password) {
+      this.passwordHistory = [
+        previous.password,
+        ...(previous.passwordHistory || []),
+      ].slice(0, getPasswordPolicy().historySize);
+    }
+  }
+
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
+  this.hasPassword = true;
+  this.passwordChangedAt = new Date();
   next();
 });
 
 // Compare password method
 userSchema.methods.comparePassword = async function (enteredPassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login; once the limit is reached the account is locked,
+// doubling the lock time with every further failure. The count is
+// incremented in the database so concurrent failures all add up.
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES, 10) || 1440;
+
+  const updated = await this.constructor
+    .findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    )
+    .select("failedLoginAttempts lockUntil");
+  if (!updated) {
+    return;
+  }
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lockUntil = updated.lockUntil;
+
+  if (updated.failedLoginAttempts >= maxAttempts) {
+    const minutes = Math.min(
+      baseMinutes * 2 ** (updated.failedLoginAttempts - maxAttempts),
+      maxMinutes
+    );
+    const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    // $max keeps the longer lock when failures race
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $max: { lockUntil } }
+    );
+    if (!this.lockUntil || this.lockUntil < lockUntil) {
+      this.lockUntil = lockUntil;
+    }
+  }
+
+  // Already stored; a later save must not write back a stale count
+  this.unmarkModified("failedLoginAttempts");
+  this.unmarkModified("lockUntil");
+};
+
+// Clear failed login state
+userSchema.methods.resetLoginAttempts = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return;
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
+// Generate a one-time password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires =
+    Date.now() +
+    (parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30) * 60 * 1000;
+
+  return resetToken;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordHistory;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationSentAt;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastStep;
   return user;
 };
 
+// Admin deletes move the account to the trash
+userSchema.plugin(softDeletable);
+
+// Index for the deletion purge job
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 module.exports = mongoose.model("User", userSchema);
@@ -2,17 +2,72 @@ const express = require("express");
 const {
   register,
   login,
+  refreshAccessToken,
+  logout,
   getMe,
+  getLoginHistory,
+  getSessions,
+  revokeSession,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 } = require("../controllers/authController");
+const { acceptInvite } = require("../controllers/inviteController");
+const {
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  loginTwoFactor,
+} = require("../controllers/twoFactorController");
+const {
+  exportAccount,
+  deleteAccount,
+  cancelAccountDeletion,
+} = require("../controllers/accountController");
+const {
+  requestMagicLink,
+  consumeMagicLink,
+} = require("../controllers/magicLinkController");
+const {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  confirmOAuthLink,
+  getIdentities,
+  unlinkIdentity,
+} = require("../controllers/oauthController");
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
 const {
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  magicLinkValidation,
+  deleteAccountValidation,
+  resetPasswordValidation,
+  acceptInviteValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  twoFactorLoginValidation,
+  createApiKeyValidation,
+  updateApiKeyValidation,
   updateProfileValidation,
   changePasswordValidation,
 } = require("../middlewares/validation");
-const { protect } = require("../middlewares/auth");
+const {
+  protect,
+  blockImpersonation,
+  allowExpiredPassword,
+} = require("../middlewares/auth");
 
 const router = express.Router();
 
@@ -49,17 +104,60 @@ const router = express.Router();
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
+ *         isEmailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
+ *         hasPassword:
+ *           type: boolean
+ *           description: False for social-login accounts without a password
+ *         invitedBy:
+ *           type: string
+ *           description: ID of the admin who invited this user
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether TOTP two-factor authentication is enabled
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for identification
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [posts:read, posts:write, comments:read, comments:write, comments:moderate]
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
  */
 
 /**
@@ -89,10 +187,6 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 minLength: 6
- *               role:
- *                 type: string
- *                 enum: [user, editor, admin]
- *                 default: user
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -112,8 +206,12 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Opaque refresh token, rotated on every use
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error or user already exists. Password policy failures have `msg.reasons` with a `code` per broken rule (too_short, missing_uppercase, breached, ...)
  */
 router.post("/register", registerValidation, register);
 
@@ -140,7 +238,7 @@ router.post("/register", registerValidation, register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled (`data.twoFactorRequired` and `data.challengeToken`)
  *         content:
  *           application/json:
  *             schema:
@@ -157,11 +255,77 @@ router.post("/register", registerValidation, register);
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Opaque refresh token, rotated on every use
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
  */
 router.post("/login", loginValidation, login);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: Refresh tokens are single-use. Presenting an already rotated token revokes every token in its family.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post("/refresh", refreshTokenValidation, refreshAccessToken);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out and revoke the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/logout", allowExpiredPassword, protect, logout);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -185,7 +349,126 @@ router.post("/login", loginValidation, login);
  *       401:
  *         description: Not authorized
  */
-router.get("/me", protect, getMe);
+router.get("/me", allowExpiredPassword, protect, getMe);
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: Get login history of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/login-history", protect, getLoginHistory);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ip:
+ *           type: string
+ *           description: IP address the session was created from
+ *         userAgent:
+ *           type: string
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenIp:
+ *           type: string
+ *         mfa:
+ *           type: boolean
+ *           description: Whether the session passed two-factor authentication
+ *         impersonatedBy:
+ *           type: string
+ *           description: Admin who opened the session by impersonation, if any
+ *         isCurrent:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/sessions", protect, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session signed out successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:id", protect, blockImpersonation, revokeSession);
 
 /**
  * @swagger
@@ -255,9 +538,759 @@ router.put("/profile", protect, updateProfileValidation, updateProfile);
  */
 router.put(
   "/change-password",
+  allowExpiredPassword,
   protect,
+  blockImpersonation,
   changePasswordValidation,
   changePassword
 );
 
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify email address using the emailed link
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+router.get("/verify-email/:token", verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Not authorized
+ *       429:
+ *         description: Verification email requested too recently
+ */
+router.post("/resend-verification", protect, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Email could not be sent
+ */
+router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using a one-time reset token
+ *     description: Invalidates all existing sessions of the user.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reset token from the email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post("/reset-password/:token", resetPasswordValidation, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/accept-invite/{token}:
+ *   post:
+ *     summary: Accept an invite and create the invited editor/admin account
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite token from the email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       201:
+ *         description: Invite accepted and account created
+ *       400:
+ *         description: Validation error, invalid/expired invite or user exists
+ */
+router.post("/accept-invite/:token", acceptInviteValidation, acceptInvite);
+
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Complete login with a TOTP or recovery code
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid challenge or code
+ */
+router.post("/2fa/login", twoFactorLoginValidation, loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrolment and get the shared secret
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URL generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/2fa/setup", protect, blockImpersonation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm enrolment with a TOTP code and receive recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, recovery codes returned once
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Not authorized
+ */
+router.post(
+  "/2fa/verify",
+  protect,
+  blockImpersonation,
+  twoFactorCodeValidation,
+  verifyTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP code or recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       401:
+ *         description: Not authorized
+ */
+router.post(
+  "/2fa/disable",
+  protect,
+  blockImpersonation,
+  twoFactorDisableValidation,
+  disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   get:
+ *     summary: List the current user's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Create an API key (the key is only returned once)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [posts:read, posts:write, comments:read, comments:write, comments:moderate]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: API key created, `data.key` holds the key
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Role cannot grant one of the requested scopes
+ */
+router
+  .route("/api-keys")
+  .get(protect, getApiKeys)
+  .post(protect, blockImpersonation, createApiKeyValidation, createApiKey);
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{id}:
+ *   put:
+ *     summary: Rename an API key or change its scopes
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: API key updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Role cannot grant one of the requested scopes
+ *       404:
+ *         description: API key not found
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router
+  .route("/api-keys/:id")
+  .put(protect, blockImpersonation, updateApiKeyValidation, updateApiKey)
+  .delete(protect, blockImpersonation, revokeApiKey);
+
+/**
+ * @swagger
+ * /api/auth/export:
+ *   get:
+ *     summary: Download a JSON archive of the current user's data
+ *     description: Profile, posts, comments, likes, linked identities, API keys, sessions and login history.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data archive (sent as an attachment)
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+router.get("/export", protect, blockImpersonation, exportAccount);
+
+/**
+ * @swagger
+ * /api/auth/account:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: The account is purged after ACCOUNT_DELETION_GRACE_DAYS (immediately when 0). Authored posts and comments are either anonymized as "Deleted user" or removed, and the user is removed from all likes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required for accounts with a password
+ *               confirmEmail:
+ *                 type: string
+ *                 description: Required for passwordless accounts
+ *               content:
+ *                 type: string
+ *                 enum: [anonymize, delete]
+ *                 description: Defaults to ACCOUNT_DELETION_CONTENT
+ *     responses:
+ *       200:
+ *         description: Account deleted or scheduled for deletion
+ *       400:
+ *         description: Validation error, missing confirmation or already scheduled
+ *       401:
+ *         description: Password is incorrect
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+router.delete(
+  "/account",
+  protect,
+  blockImpersonation,
+  deleteAccountValidation,
+  deleteAccount
+);
+
+/**
+ * @swagger
+ * /api/auth/account/cancel-deletion:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *       400:
+ *         description: Account deletion is not scheduled
+ */
+router.post(
+  "/account/cancel-deletion",
+  protect,
+  blockImpersonation,
+  cancelAccountDeletion
+);
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Email a one-time sign-in link
+ *     description: Unknown addresses get a link that registers a new `user` account, unless MAGIC_LINK_AUTO_REGISTER is false.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *                 description: Name for a newly registered account
+ *     responses:
+ *       200:
+ *         description: Generic response, sent whether or not the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many links requested for this email
+ */
+router.post("/magic-link", magicLinkValidation, requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/{token}:
+ *   get:
+ *     summary: Sign in with a magic link
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the emailed link
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *       201:
+ *         description: New user registered and signed in
+ *       400:
+ *         description: Invalid, used or expired link
+ *       401:
+ *         description: Account is deactivated
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.get("/magic-link/:token", consumeMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/oauth/providers:
+ *   get:
+ *     summary: List configured OAuth/OpenID Connect providers
+ *     tags: [OAuth]
+ *     responses:
+ *       200:
+ *         description: Providers retrieved successfully
+ */
+router.get("/oauth/providers", getProviders);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Start signing in with an OAuth provider
+ *     description: Returns the provider authorization URL (authorization code flow with PKCE). Pass `redirect=true` to be redirected there instead.
+ *     tags: [OAuth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Provider not found
+ *       502:
+ *         description: Provider discovery failed
+ */
+router.get("/oauth/:provider", startOAuthLogin);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: Complete an OAuth sign-in or account link
+ *     description: Exchanges the code, validates the ID token and signs in the linked account. Unknown identities are linked by verified email or registered as new users.
+ *     tags: [OAuth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, link waiting for confirmation, or two-factor authentication required
+ *       201:
+ *         description: New user registered and signed in
+ *       400:
+ *         description: Authorization failed or invalid state
+ *       401:
+ *         description: Invalid ID token or deactivated account
+ *       403:
+ *         description: No verified email, or automatic registration disabled
+ *       409:
+ *         description: Email belongs to an unverified account or identity linked elsewhere
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.get("/oauth/:provider/callback", oauthCallback);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/link:
+ *   post:
+ *     summary: Start linking an OAuth provider to the current account
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Provider not found
+ */
+router.post(
+  "/oauth/:provider/link",
+  protect,
+  blockImpersonation,
+  startOAuthLink
+);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/link/confirm:
+ *   post:
+ *     summary: Confirm linking an OAuth provider to the current account
+ *     description: Links the identity verified by the callback. Must be called by the account that started the link.
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirmationToken
+ *             properties:
+ *               confirmationToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Identity linked successfully
+ *       400:
+ *         description: Invalid or expired confirmation token
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Provider not found
+ *       409:
+ *         description: Identity linked to another user
+ */
+router.post(
+  "/oauth/:provider/link/confirm",
+  protect,
+  blockImpersonation,
+  confirmOAuthLink
+);
+
+/**
+ * @swagger
+ * /api/auth/identities:
+ *   get:
+ *     summary: List OAuth identities linked to the current account
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Identities retrieved successfully
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/identities", protect, getIdentities);
+
+/**
+ * @swagger
+ * /api/auth/identities/{id}:
+ *   delete:
+ *     summary: Unlink an OAuth identity from the current account
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Identity ID
+ *     responses:
+ *       200:
+ *         description: Identity unlinked successfully
+ *       400:
+ *         description: It is the account's only sign-in method
+ *       404:
+ *         description: Identity not found
+ */
+router.delete("/identities/:id", protect, blockImpersonation, unlinkIdentity);
+
 module.exports = router;
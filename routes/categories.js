@@ -2,6 +2,7 @@ const express = require("express");
 const {
   getCategories,
   getCategory,
+  getCategoryBySlug,
   createCategory,
   updateCategory,
   deleteCategory,
@@ -11,7 +12,7 @@ const {
   createCategoryValidation,
   updateCategoryValidation,
 } = require("../middlewares/validation");
-const { protect, authorize } = require("../middlewares/auth");
+const { protect, requirePermission } = require("../middlewares/auth");
 
 const router = express.Router();
 
@@ -116,6 +117,9 @@ const router = express.Router();
  *                 type: string
  *                 minLength: 2
  *                 maxLength: 50
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug (generated from the name by default)
  *               description:
  *                 type: string
  *                 maxLength: 200
@@ -137,7 +141,7 @@ router
   .get(getCategories)
   .post(
     protect,
-    authorize("admin", "editor"),
+    requirePermission("category.create"),
     createCategoryValidation,
     createCategory
   );
@@ -158,7 +162,36 @@ router
  *       403:
  *         description: Admin/Editor access required
  */
-router.get("/stats", protect, authorize("admin", "editor"), getCategoryStats);
+router.get(
+  "/stats",
+  protect,
+  requirePermission("category.stats"),
+  getCategoryStats
+);
+
+/**
+ * @swagger
+ * /api/categories/slug/{slug}:
+ *   get:
+ *     summary: Get category by slug
+ *     description: A slug the category used to have answers with 301 and a Location header pointing to the current slug.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current or previous slug
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *       301:
+ *         description: Old slug, moved to the current one
+ *       404:
+ *         description: Category not found
+ */
+router.get("/slug/:slug", getCategoryBySlug);
 
 /**
  * @swagger
@@ -201,6 +234,9 @@ router.get("/stats", protect, authorize("admin", "editor"), getCategoryStats);
  *                 type: string
  *                 minLength: 2
  *                 maxLength: 50
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug (generated from the name by default)
  *               description:
  *                 type: string
  *                 maxLength: 200
@@ -220,6 +256,7 @@ router.get("/stats", protect, authorize("admin", "editor"), getCategoryStats);
  *         description: Category not found
  *   delete:
  *     summary: Delete category
+ *     description: Moves the category to the trash. Admins can restore it until it is purged after TRASH_RETENTION_DAYS.
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -232,7 +269,7 @@ router.get("/stats", protect, authorize("admin", "editor"), getCategoryStats);
  *         description: Category ID
  *     responses:
  *       200:
- *         description: Category deleted successfully
+ *         description: Category moved to trash
  *       400:
  *         description: Category is being used by posts
  *       401:
@@ -247,10 +284,10 @@ router
   .get(getCategory)
   .put(
     protect,
-    authorize("admin", "editor"),
+    requirePermission("category.update"),
     updateCategoryValidation,
     updateCategory
   )
-  .delete(protect, authorize("admin"), deleteCategory);
+  .delete(protect, requirePermission("category.delete"), deleteCategory);
 
 module.exports = router;
@@ -6,9 +6,19 @@ const {
   toggleLikeComment,
   moderateComment,
   getAllComments,
+  bulkComments,
 } = require("../controllers/commentController");
-const { updateCommentValidation } = require("../middlewares/validation");
-const { protect, authorize } = require("../middlewares/auth");
+const {
+  updateCommentValidation,
+  bulkCommentValidation,
+} = require("../middlewares/validation");
+const {
+  protect,
+  optionalAuth,
+  requireScope,
+  requirePermission,
+  blockImpersonation,
+} = require("../middlewares/auth");
 
 const router = express.Router();
 
@@ -114,7 +124,68 @@ const router = express.Router();
  *       403:
  *         description: Admin/Editor access required
  */
-router.get("/", protect, authorize("admin", "editor"), getAllComments);
+router.get(
+  "/",
+  protect,
+  requireScope("comments:moderate"),
+  requirePermission("comment.moderate"),
+  getAllComments
+);
+
+/**
+ * @swagger
+ * /api/comments/bulk:
+ *   post:
+ *     summary: Moderate or delete many comments (Admin/Editor only)
+ *     description: Targets the listed ids or the comments matching a filter, up to BULK_MAX_ITEMS. Each comment is checked and reported on its own; deleting needs permission to delete that comment.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject, delete]
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 description: Match on status, post, author or isActive instead of listing ids
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would happen without changing anything
+ *     responses:
+ *       200:
+ *         description: Per-comment results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResults'
+ *       400:
+ *         description: Validation error, or too many comments
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin/Editor access required
+ */
+router.post(
+  "/bulk",
+  protect,
+  requireScope("comments:moderate"),
+  requirePermission("comment.moderate"),
+  blockImpersonation,
+  bulkCommentValidation,
+  bulkComments
+);
 
 /**
  * @swagger
@@ -131,11 +202,12 @@ router.get("/", protect, authorize("admin", "editor"), getAllComments);
  *         description: Comment ID
  *     responses:
  *       200:
- *         description: Comment retrieved successfully
+ *         description: Comment retrieved successfully, with its version in the ETag header for users who may edit it
  *       404:
  *         description: Comment not found
  *   put:
  *     summary: Update comment
+ *     description: Send the ETag from your last read in If-Match so concurrent edits are not overwritten.
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -146,6 +218,12 @@ router.get("/", protect, authorize("admin", "editor"), getAllComments);
  *         schema:
  *           type: string
  *         description: Comment ID
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ETag of the comment version being edited
  *     requestBody:
  *       required: true
  *       content:
@@ -174,8 +252,13 @@ router.get("/", protect, authorize("admin", "editor"), getAllComments);
  *         description: Not authorized to update this comment
  *       404:
  *         description: Comment not found
+ *       412:
+ *         description: The comment changed since it was read; returns the current version and comment
+ *       428:
+ *         description: If-Match header missing
  *   delete:
  *     summary: Delete comment
+ *     description: Moves the comment and its replies to the trash. Admins can restore them until they are purged after TRASH_RETENTION_DAYS.
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -188,7 +271,7 @@ router.get("/", protect, authorize("admin", "editor"), getAllComments);
  *         description: Comment ID
  *     responses:
  *       200:
- *         description: Comment deleted successfully
+ *         description: Comment moved to trash
  *       401:
  *         description: Not authorized
  *       403:
@@ -198,9 +281,19 @@ router.get("/", protect, authorize("admin", "editor"), getAllComments);
  */
 router
   .route("/:id")
-  .get(getComment)
-  .put(protect, updateCommentValidation, updateComment)
-  .delete(protect, deleteComment);
+  .get(optionalAuth, requireScope("comments:read"), getComment)
+  .put(
+    protect,
+    requireScope("comments:write"),
+    updateCommentValidation,
+    updateComment
+  )
+  .delete(
+    protect,
+    requireScope("comments:write"),
+    blockImpersonation,
+    deleteComment
+  );
 
 /**
  * @swagger
@@ -269,7 +362,8 @@ router.put("/:id/like", protect, toggleLikeComment);
 router.put(
   "/:id/moderate",
   protect,
-  authorize("admin", "editor"),
+  requireScope("comments:moderate"),
+  requirePermission("comment.moderate"),
   moderateComment
 );
 
@@ -2,13 +2,33 @@ const express = require("express");
 const {
   getPosts,
   getPost,
+  getPostBySlug,
   createPost,
   updatePost,
   deletePost,
   toggleLikePost,
   getPostStats,
   getRelatedPosts,
+  setContributors,
+  bulkPosts,
 } = require("../controllers/postController");
+const {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+} = require("../controllers/revisionController");
+const {
+  submitPost,
+  reviewPost,
+  getReviews,
+  assignReviewers,
+} = require("../controllers/reviewController");
+const {
+  lockPost,
+  getPostLock,
+  unlockPost,
+} = require("../controllers/lockController");
 const {
   getComments,
   createComment,
@@ -16,9 +36,21 @@ const {
 const {
   createPostValidation,
   updatePostValidation,
+  submitPostValidation,
+  reviewPostValidation,
+  assignReviewersValidation,
+  setContributorsValidation,
   createCommentValidation,
+  bulkPostValidation,
 } = require("../middlewares/validation");
-const { protect, authorize } = require("../middlewares/auth");
+const {
+  protect,
+  optionalAuth,
+  requireScope,
+  requirePermission,
+  requireVerifiedEmail,
+  blockImpersonation,
+} = require("../middlewares/auth");
 
 const router = express.Router();
 
@@ -44,15 +76,52 @@ const router = express.Router();
  *           description: URL-friendly version of the title
  *         content:
  *           type: string
- *           description: The post content
+ *           description: The post content as written, in `format`
+ *         format:
+ *           type: string
+ *           enum: [markdown, html, plain]
+ *           default: markdown
+ *         contentHtml:
+ *           type: string
+ *           description: Sanitized HTML rendered from the content
+ *         toc:
+ *           type: array
+ *           description: Table of contents built from the content's headings
+ *           items:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: integer
+ *               text:
+ *                 type: string
+ *               id:
+ *                 type: string
+ *                 description: Anchor of the heading in contentHtml
  *         excerpt:
  *           type: string
- *           description: Short summary of the post
+ *           description: Short summary of the post, generated from the content when not provided
  *         featuredImage:
  *           type: string
  *           description: URL to the featured image
  *         author:
  *           $ref: '#/components/schemas/User'
+ *         contributors:
+ *           type: array
+ *           description: Everyone credited on the post, in byline order
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 $ref: '#/components/schemas/User'
+ *               name:
+ *                 type: string
+ *                 description: Guest contributor without an account
+ *               role:
+ *                 type: string
+ *                 enum: [author, co-author, reviewer, illustrator]
+ *         byline:
+ *           type: string
+ *           description: Authors and co-authors in contributor order, e.g. "Jane Doe and John Roe"
  *         category:
  *           $ref: '#/components/schemas/Category'
  *         tags:
@@ -61,10 +130,23 @@ const router = express.Router();
  *             $ref: '#/components/schemas/Tag'
  *         status:
  *           type: string
- *           enum: [draft, published, archived]
+ *           enum: [draft, in_review, changes_requested, approved, scheduled, published, archived]
  *         publishedAt:
  *           type: string
  *           format: date-time
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When a scheduled post will be published
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a published post will be archived
+ *         reviewers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Users assigned to review the post
  *         views:
  *           type: integer
  *         likes:
@@ -125,12 +207,28 @@ const router = express.Router();
  *           type: string
  *         description: Filter by author ID
  *       - in: query
+ *         name: contributor
+ *         schema:
+ *           type: string
+ *         description: Filter by the ID of anyone credited on the post, including the author
+ *       - in: query
+ *         name: contributorRole
+ *         schema:
+ *           type: string
+ *           enum: [author, co-author, reviewer, illustrator]
+ *         description: Only match the contributor in this role
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, published, archived]
+ *           enum: [draft, in_review, changes_requested, approved, scheduled, published, archived]
  *         description: Filter by status (admin/editor only)
  *       - in: query
+ *         name: reviewer
+ *         schema:
+ *           type: string
+ *         description: Filter by assigned reviewer ID, or "me" (admin/editor only)
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -171,9 +269,16 @@ const router = express.Router();
  *                 type: string
  *                 minLength: 5
  *                 maxLength: 200
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug. Generated from the title and kept stable once the post is published
  *               content:
  *                 type: string
  *                 minLength: 50
+ *               format:
+ *                 type: string
+ *                 enum: [markdown, html, plain]
+ *                 description: How content is written (default markdown)
  *               excerpt:
  *                 type: string
  *                 maxLength: 300
@@ -190,8 +295,17 @@ const router = express.Router();
  *                 description: Array of tag IDs
  *               status:
  *                 type: string
- *                 enum: [draft, published, archived]
+ *                 enum: [draft, scheduled, published, archived]
  *                 default: draft
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish time, required when status is scheduled
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Archive the post at this time (null clears it)
  *     responses:
  *       201:
  *         description: Post created successfully
@@ -204,10 +318,11 @@ const router = express.Router();
  */
 router
   .route("/")
-  .get(getPosts)
+  .get(optionalAuth, requireScope("posts:read"), getPosts)
   .post(
     protect,
-    authorize("admin", "editor"),
+    requireScope("posts:write"),
+    requirePermission("post.create"),
     createPostValidation,
     createPost
   );
@@ -228,7 +343,134 @@ router
  *       403:
  *         description: Admin/Editor access required
  */
-router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
+router.get("/stats", protect, requirePermission("post.stats"), getPostStats);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkResults:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         action:
+ *           type: string
+ *         dryRun:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             succeeded:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               success:
+ *                 type: boolean
+ *               statusCode:
+ *                 type: integer
+ *                 description: Why the item failed, as the single-item endpoint would respond
+ *               message:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/posts/bulk:
+ *   post:
+ *     summary: Apply an action to many posts
+ *     description: Targets the listed ids or the posts matching a filter, up to BULK_MAX_ITEMS. Each post is checked like the single-post endpoints (status transitions, ownership) and reported on its own; a failing post does not stop the others.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [publish, archive, delete, recategorize, retag]
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 description: Match on status, author, category, tags or isActive instead of listing ids
+ *               category:
+ *                 type: string
+ *                 description: New category, required for recategorize
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tags replacing the current ones, required for retag
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would happen without changing anything
+ *     responses:
+ *       200:
+ *         description: Per-post results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResults'
+ *       400:
+ *         description: Validation error, or too many posts
+ *       401:
+ *         description: Not authorized
+ */
+router.post(
+  "/bulk",
+  protect,
+  requireScope("posts:write"),
+  blockImpersonation,
+  bulkPostValidation,
+  bulkPosts
+);
+
+/**
+ * @swagger
+ * /api/posts/slug/{slug}:
+ *   get:
+ *     summary: Get post by slug
+ *     description: A slug the post used to have answers with 301 and a Location header pointing to the current slug.
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current or previous slug
+ *     responses:
+ *       200:
+ *         description: Post retrieved successfully
+ *       301:
+ *         description: Old slug, moved to the current one
+ *       404:
+ *         description: Post not found
+ */
+router.get(
+  "/slug/:slug",
+  optionalAuth,
+  requireScope("posts:read"),
+  getPostBySlug
+);
 
 /**
  * @swagger
@@ -245,11 +487,12 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  *         description: Post ID
  *     responses:
  *       200:
- *         description: Post retrieved successfully
+ *         description: Post retrieved successfully, with its version in the ETag header for users who may edit it
  *       404:
  *         description: Post not found
  *   put:
  *     summary: Update post
+ *     description: Status changes follow the editorial workflow (see config/workflow.js). Editing an approved or scheduled post sends it back for review unless the editor may publish without review. Send the ETag from your last read in If-Match so concurrent edits are not overwritten.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -260,6 +503,12 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  *         schema:
  *           type: string
  *         description: Post ID
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ETag of the post version being edited
  *     requestBody:
  *       required: true
  *       content:
@@ -271,9 +520,16 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  *                 type: string
  *                 minLength: 5
  *                 maxLength: 200
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug. Generated from the title and kept stable once the post is published
  *               content:
  *                 type: string
  *                 minLength: 50
+ *               format:
+ *                 type: string
+ *                 enum: [markdown, html, plain]
+ *                 description: How content is written (default markdown)
  *               excerpt:
  *                 type: string
  *                 maxLength: 300
@@ -290,7 +546,16 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  *                 description: Array of tag IDs
  *               status:
  *                 type: string
- *                 enum: [draft, published, archived]
+ *                 enum: [draft, scheduled, published, archived]
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish time, required when scheduling a post that has none yet
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Archive the post at this time (null clears it)
  *     responses:
  *       200:
  *         description: Post updated successfully
@@ -302,8 +567,13 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  *         description: Not authorized to update this post
  *       404:
  *         description: Post not found
+ *       412:
+ *         description: The post changed since it was read; returns the current version and post
+ *       428:
+ *         description: If-Match header missing
  *   delete:
  *     summary: Delete post
+ *     description: Moves the post to the trash. Admins can restore it until it is purged after TRASH_RETENTION_DAYS.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -316,7 +586,7 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  *         description: Post ID
  *     responses:
  *       200:
- *         description: Post deleted successfully
+ *         description: Post moved to trash
  *       401:
  *         description: Not authorized
  *       403:
@@ -326,9 +596,9 @@ router.get("/stats", protect, authorize("admin", "editor"), getPostStats);
  */
 router
   .route("/:id")
-  .get(getPost)
-  .put(protect, updatePostValidation, updatePost)
-  .delete(protect, deletePost);
+  .get(optionalAuth, requireScope("posts:read"), getPost)
+  .put(protect, requireScope("posts:write"), updatePostValidation, updatePost)
+  .delete(protect, requireScope("posts:write"), blockImpersonation, deletePost);
 
 /**
  * @swagger
@@ -350,10 +620,12 @@ router
  *         description: Post like status updated successfully
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Post not found
  */
-router.put("/:id/like", protect, toggleLikePost);
+router.put("/:id/like", protect, requireVerifiedEmail, toggleLikePost);
 
 /**
  * @swagger
@@ -383,6 +655,466 @@ router.put("/:id/like", protect, toggleLikePost);
  */
 router.get("/:id/related", getRelatedPosts);
 
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: Get the revision history of a post
+ *     description: Newest first, without the content of each revision. Every update that changes the title, content, excerpt, category or tags records a revision; only the last POST_REVISION_LIMIT are kept.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Number of revisions per page
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to view the history of this post
+ *       404:
+ *         description: Post not found
+ */
+router.get("/:id/revisions", protect, requireScope("posts:read"), getRevisions);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a post
+ *     description: Returns word-level changes to the title, excerpt and content as runs of equal, delete and insert text, plus category and tag changes.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Revision ID to compare from
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Revision ID to compare to (defaults to the latest revision)
+ *     responses:
+ *       200:
+ *         description: Diff computed successfully
+ *       400:
+ *         description: Missing revision to compare from
+ *       403:
+ *         description: Not authorized to view the history of this post
+ *       404:
+ *         description: Post or revision not found
+ */
+router.get(
+  "/:id/revisions/diff",
+  protect,
+  requireScope("posts:read"),
+  getRevisionDiff
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{revId}:
+ *   get:
+ *     summary: Get a single revision of a post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: revId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       403:
+ *         description: Not authorized to view the history of this post
+ *       404:
+ *         description: Post or revision not found
+ */
+router.get(
+  "/:id/revisions/:revId",
+  protect,
+  requireScope("posts:read"),
+  getRevision
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{revId}/restore:
+ *   post:
+ *     summary: Restore a post to an earlier revision
+ *     description: Copies the revision's title, content, excerpt, category and tags back onto the post and records the result as a new revision. Tags deleted since then are left out.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: revId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Post restored successfully
+ *       403:
+ *         description: Not authorized to update this post
+ *       404:
+ *         description: Post or revision not found
+ *       409:
+ *         description: The revision's category no longer exists
+ */
+router.post(
+  "/:id/revisions/:revId/restore",
+  protect,
+  requireScope("posts:write"),
+  restoreRevision
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/submit:
+ *   post:
+ *     summary: Submit a post for review
+ *     description: Moves a draft or a post with requested changes to in_review and notifies the assigned reviewers.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Message for the reviewers
+ *     responses:
+ *       200:
+ *         description: Post submitted for review
+ *       403:
+ *         description: Not authorized to submit this post
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: The post cannot be submitted from its current status
+ */
+router.post(
+  "/:id/submit",
+  protect,
+  requireScope("posts:write"),
+  submitPostValidation,
+  submitPost
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/review:
+ *   post:
+ *     summary: Review a post
+ *     description: Approve a post in review, request changes, or leave a comment without changing its status. Authors cannot review their own posts, and only assigned reviewers may review when any are assigned.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, changes_requested, comment]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Required unless approving
+ *     responses:
+ *       201:
+ *         description: Review recorded
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized to review this post
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: The post is not waiting for review
+ */
+router.post(
+  "/:id/review",
+  protect,
+  requireScope("posts:write"),
+  reviewPostValidation,
+  reviewPost
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/reviews:
+ *   get:
+ *     summary: Get the review history of a post
+ *     description: Visible to the author and to reviewers. Review comments are separate from reader comments.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       403:
+ *         description: Not authorized to view reviews of this post
+ *       404:
+ *         description: Post not found
+ */
+router.get("/:id/reviews", protect, requireScope("posts:read"), getReviews);
+
+/**
+ * @swagger
+ * /api/posts/{id}/reviewers:
+ *   put:
+ *     summary: Assign reviewers to a post
+ *     description: Replaces the assigned reviewers. Reviewers need the post.review permission and cannot be the author. An empty list lets any reviewer review the post.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewers
+ *             properties:
+ *               reviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of user IDs
+ *     responses:
+ *       200:
+ *         description: Reviewers updated
+ *       400:
+ *         description: Invalid or ineligible reviewer
+ *       403:
+ *         description: Not authorized to assign reviewers
+ *       404:
+ *         description: Post not found
+ */
+router.put(
+  "/:id/reviewers",
+  protect,
+  requireScope("posts:write"),
+  requirePermission("post.review.assign"),
+  assignReviewersValidation,
+  assignReviewers
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/contributors:
+ *   put:
+ *     summary: Set the contributors of a post
+ *     description: Replaces everyone credited on the post. The list order is the byline order. Authors and co-authors own the post, so they can edit it like its author; guests are listed by name only. The post's author must stay listed with the author role.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contributors
+ *             properties:
+ *               contributors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - role
+ *                   properties:
+ *                     user:
+ *                       type: string
+ *                       description: User ID
+ *                     name:
+ *                       type: string
+ *                       description: Guest name, instead of a user ID
+ *                     role:
+ *                       type: string
+ *                       enum: [author, co-author, reviewer, illustrator]
+ *     responses:
+ *       200:
+ *         description: Contributors updated, with the new byline
+ *       400:
+ *         description: Invalid contributor, or the author is missing
+ *       403:
+ *         description: Not authorized to update this post
+ *       404:
+ *         description: Post not found
+ */
+router.put(
+  "/:id/contributors",
+  protect,
+  requireScope("posts:write"),
+  setContributorsValidation,
+  setContributors
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/lock:
+ *   post:
+ *     summary: Take or refresh the edit lock on a post
+ *     description: Advisory lock telling other editors who is working on the post. It expires after POST_LOCK_MINUTES unless refreshed; updates are still guarded by If-Match.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post locked for editing
+ *       403:
+ *         description: Not authorized to edit this post
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: Someone else holds the lock, returned with their name and its expiry
+ *   get:
+ *     summary: See who is editing a post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Current lock, or locked false
+ *       403:
+ *         description: Not authorized to edit this post
+ *       404:
+ *         description: Post not found
+ *   delete:
+ *     summary: Release the edit lock on a post
+ *     description: The holder can release the lock; editors who may change any post can clear someone else's.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post unlocked
+ *       403:
+ *         description: Not authorized to release this lock
+ *       404:
+ *         description: Post not found
+ */
+router
+  .route("/:id/lock")
+  .post(protect, requireScope("posts:write"), lockPost)
+  .get(protect, requireScope("posts:read"), getPostLock)
+  .delete(protect, requireScope("posts:write"), unlockPost);
+
 /**
  * @swagger
  * /api/posts/{postId}/comments:
@@ -455,12 +1187,21 @@ router.get("/:id/related", getRelatedPosts);
  *         description: Validation error
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Post not found
  */
 router
   .route("/:postId/comments")
   .get(getComments)
-  .post(protect, createCommentValidation, createComment);
+  .post(
+    protect,
+    requireScope("comments:write"),
+    requirePermission("comment.create"),
+    requireVerifiedEmail,
+    createCommentValidation,
+    createComment
+  );
 
 module.exports = router;
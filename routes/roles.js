@@ -0,0 +1,158 @@
+const express = require("express");
+const {
+  getRoles,
+  getPermissions,
+  updateRole,
+  resetRole,
+} = require("../controllers/roleController");
+const { updateRoleValidation } = require("../middlewares/validation");
+const {
+  protect,
+  requirePermission,
+  blockImpersonation,
+} = require("../middlewares/auth");
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(blockImpersonation);
+router.use(requirePermission("role.manage"));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           enum: [user, editor, admin]
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isDefault:
+ *           type: boolean
+ *           description: True when the role still uses the built-in permissions
+ *         updatedBy:
+ *           $ref: '#/components/schemas/User'
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles and their permissions (Admin only)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.get("/", getRoles);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the permission registry (Admin only)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.get("/permissions", getPermissions);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Replace the permissions of a role (Admin only)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [user, editor, admin]
+ *         description: Role name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or admin would lose role management
+ *       404:
+ *         description: Role not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.put("/:name", updateRoleValidation, updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}/reset:
+ *   post:
+ *     summary: Restore the default permissions of a role (Admin only)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [user, editor, admin]
+ *         description: Role name
+ *     responses:
+ *       200:
+ *         description: Role permissions reset to defaults
+ *       404:
+ *         description: Role not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.post("/:name/reset", resetRole);
+
+module.exports = router;
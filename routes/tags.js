@@ -2,6 +2,7 @@ const express = require("express");
 const {
   getTags,
   getTag,
+  getTagBySlug,
   createTag,
   updateTag,
   deleteTag,
@@ -12,7 +13,7 @@ const {
   createTagValidation,
   updateTagValidation,
 } = require("../middlewares/validation");
-const { protect, authorize } = require("../middlewares/auth");
+const { protect, requirePermission } = require("../middlewares/auth");
 
 const router = express.Router();
 
@@ -99,6 +100,9 @@ const router = express.Router();
  *                 type: string
  *                 minLength: 2
  *                 maxLength: 30
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug (generated from the name by default)
  *               color:
  *                 type: string
  *                 pattern: '^#[0-9A-F]{6}$'
@@ -115,7 +119,12 @@ const router = express.Router();
 router
   .route("/")
   .get(getTags)
-  .post(protect, authorize("admin", "editor"), createTagValidation, createTag);
+  .post(
+    protect,
+    requirePermission("tag.create"),
+    createTagValidation,
+    createTag
+  );
 
 /**
  * @swagger
@@ -153,7 +162,31 @@ router.get("/popular", getPopularTags);
  *       403:
  *         description: Admin/Editor access required
  */
-router.get("/stats", protect, authorize("admin", "editor"), getTagStats);
+router.get("/stats", protect, requirePermission("tag.stats"), getTagStats);
+
+/**
+ * @swagger
+ * /api/tags/slug/{slug}:
+ *   get:
+ *     summary: Get tag by slug
+ *     description: A slug the tag used to have answers with 301 and a Location header pointing to the current slug.
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current or previous slug
+ *     responses:
+ *       200:
+ *         description: Tag retrieved successfully
+ *       301:
+ *         description: Old slug, moved to the current one
+ *       404:
+ *         description: Tag not found
+ */
+router.get("/slug/:slug", getTagBySlug);
 
 /**
  * @swagger
@@ -196,6 +229,9 @@ router.get("/stats", protect, authorize("admin", "editor"), getTagStats);
  *                 type: string
  *                 minLength: 2
  *                 maxLength: 30
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug (generated from the name by default)
  *               color:
  *                 type: string
  *                 pattern: '^#[0-9A-F]{6}$'
@@ -212,6 +248,7 @@ router.get("/stats", protect, authorize("admin", "editor"), getTagStats);
  *         description: Tag not found
  *   delete:
  *     summary: Delete tag
+ *     description: Moves the tag to the trash. Admins can restore it until it is purged after TRASH_RETENTION_DAYS.
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -224,7 +261,7 @@ router.get("/stats", protect, authorize("admin", "editor"), getTagStats);
  *         description: Tag ID
  *     responses:
  *       200:
- *         description: Tag deleted successfully
+ *         description: Tag moved to trash
  *       400:
  *         description: Tag is being used by posts
  *       401:
@@ -237,7 +274,7 @@ router.get("/stats", protect, authorize("admin", "editor"), getTagStats);
 router
   .route("/:id")
   .get(getTag)
-  .put(protect, authorize("admin", "editor"), updateTagValidation, updateTag)
-  .delete(protect, authorize("admin"), deleteTag);
+  .put(protect, requirePermission("tag.update"), updateTagValidation, updateTag)
+  .delete(protect, requirePermission("tag.delete"), deleteTag);
 
 module.exports = router;
@@ -0,0 +1,85 @@
+const express = require("express");
+const {
+  getTrash,
+  restoreTrashItem,
+} = require("../controllers/trashController");
+const { protect, requirePermission } = require("../middlewares/auth");
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(requirePermission("trash.manage"));
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: Get deleted posts, comments, users, categories and tags (Admin only)
+ *     description: Deleted items stay in the trash for TRASH_RETENTION_DAYS and are then purged for good. Each item carries its type, deletedAt, deletedBy and purgeAt.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [post, comment, user, category, tag]
+ *         description: Only show items of this type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *       400:
+ *         description: Unknown type
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.get("/", getTrash);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted item (Admin only)
+ *     description: Replies deleted together with a comment are restored with it. Posts need their category and comments their post to exist.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, comment, user, category, tag]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item restored
+ *       400:
+ *         description: Unknown type
+ *       403:
+ *         description: Not authorized - Admin only
+ *       404:
+ *         description: Item not found in the trash
+ *       409:
+ *         description: Something the item depends on is deleted too
+ */
+router.post("/:type/:id/restore", restoreTrashItem);
+
+module.exports = router;
@@ -6,19 +6,39 @@ const {
   updateUser,
   deleteUser,
   toggleUserStatus,
+  getUserLoginAttempts,
+  unlockUser,
+  getUserSessions,
+  revokeUserSessions,
+  revokeUserSession,
+  impersonateUser,
+  getAuditLog,
+  bulkUsers,
 } = require("../controllers/userController");
 const {
-  registerValidation,
+  createInvite,
+  getInvites,
+  revokeInvite,
+} = require("../controllers/inviteController");
+const {
+  createUserValidation,
   updateUserValidation,
+  deleteUserValidation,
+  bulkUserValidation,
+  createInviteValidation,
 } = require("../middlewares/validation");
-const { protect, authorize } = require("../middlewares/auth");
+const {
+  protect,
+  requirePermission,
+  blockImpersonation,
+} = require("../middlewares/auth");
 
 const router = express.Router();
 
 // Protect all routes
 router.use(protect);
 // Admin only routes
-router.use(authorize("admin"));
+router.use(requirePermission("user.manage"));
 
 /**
  * @swagger
@@ -106,7 +126,254 @@ router.use(authorize("admin"));
  *       403:
  *         description: Not authorized - Admin only
  */
-router.route("/").get(getUsers).post(registerValidation, createUser);
+router.route("/").get(getUsers).post(createUserValidation, createUser);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invite:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         role:
+ *           type: string
+ *           enum: [editor, admin]
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         invitedBy:
+ *           $ref: '#/components/schemas/User'
+ *         acceptedUser:
+ *           $ref: '#/components/schemas/User'
+ *         revokedBy:
+ *           $ref: '#/components/schemas/User'
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/users/invites:
+ *   get:
+ *     summary: Get all invites (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Number of invites per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by invite status
+ *       - in: query
+ *         name: invitedBy
+ *         schema:
+ *           type: string
+ *         description: Filter by inviting admin ID
+ *     responses:
+ *       200:
+ *         description: Invites retrieved successfully
+ *       403:
+ *         description: Not authorized - Admin only
+ *   post:
+ *     summary: Invite someone to an editor or admin account (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [editor, admin]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invite sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Invite'
+ *       400:
+ *         description: Validation error, user exists or invite already pending
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router
+  .route("/invites")
+  .get(getInvites)
+  .post(createInviteValidation, createInvite);
+
+/**
+ * @swagger
+ * /api/users/invites/{id}:
+ *   delete:
+ *     summary: Revoke a pending invite (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite ID
+ *     responses:
+ *       200:
+ *         description: Invite revoked successfully
+ *       400:
+ *         description: Invite is no longer pending
+ *       404:
+ *         description: Invite not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.delete("/invites/:id", revokeInvite);
+
+/**
+ * @swagger
+ * /api/users/audit-log:
+ *   get:
+ *     summary: Get audit log entries, e.g. impersonated requests (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Filter by the acting admin's ID
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by the affected user's ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [impersonation.start, impersonation.request]
+ *         description: Filter by action
+ *       - in: query
+ *         name: session
+ *         schema:
+ *           type: string
+ *         description: Filter by session ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.get("/audit-log", getAuditLog);
+
+/**
+ * @swagger
+ * /api/users/bulk:
+ *   post:
+ *     summary: Activate or deactivate many users (Admin only)
+ *     description: Targets the listed ids or the users matching a filter, up to BULK_MAX_ITEMS. Each user is reported on its own; admins cannot deactivate themselves.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [activate, deactivate]
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 description: Match on role or isActive instead of listing ids
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would happen without changing anything
+ *     responses:
+ *       200:
+ *         description: Per-user results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResults'
+ *       400:
+ *         description: Validation error, or too many users
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.post("/bulk", blockImpersonation, bulkUserValidation, bulkUsers);
 
 /**
  * @swagger
@@ -178,6 +445,7 @@ router.route("/").get(getUsers).post(registerValidation, createUser);
  *         description: Not authorized - Admin only
  *   delete:
  *     summary: Delete user (Admin only)
+ *     description: Moves the user to the trash and signs them out everywhere. When the account is purged, their posts and comments go to the reassignTo user when one is given, otherwise ACCOUNT_DELETION_CONTENT decides whether they are anonymized or removed (with "delete" they are trashed with the account right away). Admins can restore the account until it is purged after TRASH_RETENTION_DAYS. With TRASH_RETENTION_DAYS=0 nothing is purged, so reassignTo is refused and the content stays with the trashed account.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -188,11 +456,16 @@ router.route("/").get(getUsers).post(registerValidation, createUser);
  *         schema:
  *           type: string
  *         description: User ID
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Active user who takes over the deleted user's posts and comments
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User moved to trash
  *       400:
- *         description: Cannot delete own account
+ *         description: Cannot delete own account, invalid reassignTo user, or reassignTo while trashed users are kept forever
  *       404:
  *         description: User not found
  *       403:
@@ -202,7 +475,7 @@ router
   .route("/:id")
   .get(getUser)
   .put(updateUserValidation, updateUser)
-  .delete(deleteUser);
+  .delete(blockImpersonation, deleteUserValidation, deleteUser);
 
 /**
  * @swagger
@@ -231,4 +504,180 @@ router
  */
 router.put("/:id/toggle-status", toggleUserStatus);
 
+/**
+ * @swagger
+ * /api/users/{id}/login-attempts:
+ *   get:
+ *     summary: Get login attempt history and lock state for a user (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, invalid_password, unknown_user, locked, deactivated, two_factor_required, two_factor_failed]
+ *         description: Filter by outcome
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Number of attempts per page
+ *     responses:
+ *       200:
+ *         description: Login attempts retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.get("/:id/login-attempts", getUserLoginAttempts);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock an account locked after failed logins (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.put("/:id/unlock", unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: Get active sessions of a user (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Not authorized - Admin only
+ *   delete:
+ *     summary: Force logout of every session of a user (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: All sessions signed out
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.route("/:id/sessions").get(getUserSessions).delete(revokeUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Force logout of a single session of a user (Admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session signed out successfully
+ *       404:
+ *         description: Session not found
+ *       403:
+ *         description: Not authorized - Admin only
+ */
+router.delete("/:id/sessions/:sessionId", revokeUserSession);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: Get a short-lived token to act as a user (Admin only)
+ *     description: The token carries the admin in an `act` claim, has no refresh token, and expires after IMPERSONATION_EXPIRE_MINUTES. Every request made with it is audit-logged and answered with an `X-Impersonated-By` header. Account changes such as changing the password or deleting users are refused.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       201:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: Cannot impersonate yourself or a deactivated user
+ *       403:
+ *         description: Not authorized, or target manages accounts
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  "/:id/impersonate",
+  blockImpersonation,
+  requirePermission("user.impersonate"),
+  impersonateUser
+);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const { getJwks } = require("../controllers/keyController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Get the JSON Web Key Set used to verify access tokens
+ *     description: Empty when access tokens are signed with HS256. Retired keys stay listed until their grace period ends.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: JWK Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                       alg:
+ *                         type: string
+ *                       use:
+ *                         type: string
+ */
+router.get("/jwks.json", getJwks);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// Build the breached password list from plain-text password lists.
+//
+//   node scripts/buildBreachedList.js common-passwords.txt [more.txt ...]
+//
+// Writes uppercase SHA-1 hashes, sorted, to BREACHED_PASSWORDS_FILE or
+// data/breached-passwords.txt. Existing entries are kept.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Load env vars
+dotenv.config();
+
+const output =
+  process.env.BREACHED_PASSWORDS_FILE ||
+  path.join(__dirname, "..", "data", "breached-passwords.txt");
+
+const inputs = process.argv.slice(2);
+if (inputs.length === 0) {
+  console.error("Usage: node scripts/buildBreachedList.js <passwords.txt>...");
+  process.exit(1);
+}
+
+const hashes = new Set();
+
+if (fs.existsSync(output)) {
+  fs.readFileSync(output, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.split(":")[0].trim().toUpperCase())
+    .filter((hash) => /^[0-9A-F]{40}$/.test(hash))
+    .forEach((hash) => hashes.add(hash));
+}
+
+const before = hashes.size;
+
+inputs.forEach((file) => {
+  fs.readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .filter((password) => password.length > 0)
+    .forEach((password) => {
+      hashes.add(
+        crypto.createHash("sha1").update(password).digest("hex").toUpperCase()
+      );
+    });
+});
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(
+  output,
+  "# SHA-1 hashes of breached passwords, one per line (HASH or HASH:COUNT)\n" +
+    [...hashes].sort().join("\n") +
+    "\n"
+);
+
+console.log(
+  `✅ Wrote ${hashes.size} hashes (${hashes.size - before} new) to ${output}`
+);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const connectDB = require("../config/database");
+
+// Load env vars
+dotenv.config();
+
+const { findOrphans, repairOrphans } = require("../utils/integrity");
+
+// Usage: node scripts/checkIntegrity.js [--repair] [--reassign-to=<userId>]
+const args = process.argv.slice(2);
+const repair = args.includes("--repair");
+const reassignArg = args.find((arg) => arg.startsWith("--reassign-to="));
+const reassignTo = reassignArg ? reassignArg.split("=")[1] : undefined;
+
+const checkIntegrity = async () => {
+  try {
+    await connectDB();
+
+    console.log("Looking for references to deleted documents...");
+    const orphans = await findOrphans();
+
+    if (orphans.length === 0) {
+      console.log("\n✅ No orphaned references found");
+      await mongoose.connection.close();
+      process.exit(0);
+    }
+
+    for (const orphan of orphans) {
+      console.log(
+        `- ${orphan.model}.${orphan.path} -> missing ${orphan.type}: ${orphan.documents} document(s), ${orphan.missing.length} id(s) (${orphan.rule})`
+      );
+    }
+
+    if (!repair) {
+      console.log("\nRun with --repair to apply the delete rules to them");
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    const { repaired, skipped } = await repairOrphans(orphans, { reassignTo });
+    console.log(`\n✅ Repaired ${repaired} document(s)`);
+    if (skipped > 0) {
+      console.log(`⚠️  ${skipped} document(s) need to be fixed by hand`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(skipped > 0 ? 1 : 0);
+  } catch (error) {
+    console.error("❌ Error checking integrity:", error.message);
+    process.exit(1);
+  }
+};
+
+// Run check
+checkIntegrity();
@@ -0,0 +1,209 @@
+// Minimal OpenID Connect provider for trying out social login locally.
+// Every authorization request is approved straight away for the user in
+// MOCK_OIDC_EMAIL, or for the address passed as `login_hint`.
+//
+//   npm run oauth:mock
+//
+// and configure the API with:
+//
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_ISSUER=http://localhost:4000
+//   OAUTH_MOCK_CLIENT_ID=blog-api
+//   OAUTH_MOCK_CLIENT_SECRET=mock-secret
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const dotenv = require("dotenv");
+
+// Load env vars
+dotenv.config();
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OAUTH_MOCK_CLIENT_ID || "blog-api";
+const CLIENT_SECRET = process.env.OAUTH_MOCK_CLIENT_SECRET || "mock-secret";
+const CODE_TTL_MS = 60 * 1000;
+
+const KID = "mock-key";
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// Issued authorization codes, redeemable once
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const tokenError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+    ],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [
+      {
+        ...publicKey.export({ format: "jwk" }),
+        kid: KID,
+        alg: "RS256",
+        use: "sig",
+      },
+    ],
+  });
+});
+
+app.get("/authorize", (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: challengeMethod,
+    login_hint: loginHint,
+  } = req.query;
+
+  if (clientId !== CLIENT_ID || !redirectUri) {
+    return res.status(400).send("Unknown client or missing redirect_uri");
+  }
+
+  const redirect = new URL(redirectUri);
+  if (state) {
+    redirect.searchParams.set("state", state);
+  }
+
+  if (responseType !== "code" || !codeChallenge || challengeMethod !== "S256") {
+    redirect.searchParams.set("error", "invalid_request");
+    redirect.searchParams.set(
+      "error_description",
+      "Authorization code flow with S256 PKCE is required"
+    );
+    return res.redirect(redirect.toString());
+  }
+
+  const email = (
+    loginHint ||
+    process.env.MOCK_OIDC_EMAIL ||
+    "reader@example.com"
+  ).toLowerCase();
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    email,
+    nonce,
+    redirectUri,
+    codeChallenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  redirect.searchParams.set("code", code);
+  console.log(`Approved sign-in for ${email}`);
+  res.redirect(redirect.toString());
+});
+
+app.post("/token", (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(authorization.slice(6), "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+    clientId = id;
+    clientSecret = secret;
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return tokenError(
+      res,
+      401,
+      "invalid_client",
+      "Client authentication failed"
+    );
+  }
+
+  if (req.body.grant_type !== "authorization_code") {
+    return tokenError(
+      res,
+      400,
+      "unsupported_grant_type",
+      "Use authorization_code"
+    );
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return tokenError(res, 400, "invalid_grant", "Unknown or expired code");
+  }
+
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return tokenError(res, 400, "invalid_grant", "redirect_uri mismatch");
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(req.body.code_verifier || "")
+    .digest("base64url");
+  if (challenge !== grant.codeChallenge) {
+    return tokenError(res, 400, "invalid_grant", "PKCE verification failed");
+  }
+
+  const subject = crypto
+    .createHash("sha256")
+    .update(grant.email)
+    .digest("hex")
+    .slice(0, 24);
+
+  const idToken = jwt.sign(
+    {
+      sub: subject,
+      email: grant.email,
+      email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false",
+      name: grant.email.split("@")[0],
+      nonce: grant.nonce,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔓 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
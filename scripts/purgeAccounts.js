@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const connectDB = require("../config/database");
+
+// Load env vars
+dotenv.config();
+
+const { purgeDueAccounts } = require("../utils/accounts");
+
+const purgeAccounts = async () => {
+  try {
+    await connectDB();
+
+    console.log("Purging accounts past their deletion date...");
+    const purged = await purgeDueAccounts();
+    console.log(`\n✅ Purged ${purged} account(s)`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error purging accounts:", error.message);
+    process.exit(1);
+  }
+};
+
+// Run purge
+purgeAccounts();
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const connectDB = require("../config/database");
+
+// Load env vars
+dotenv.config();
+
+const { getAlgorithm, rotateSigningKey } = require("../utils/keys");
+const SigningKey = require("../models/SigningKey");
+
+const rotateKeys = async () => {
+  try {
+    await connectDB();
+
+    console.log(`Generating a new ${getAlgorithm()} signing key...`);
+    const key = await rotateSigningKey();
+
+    const retired = await SigningKey.find({
+      active: false,
+      expiresAt: { $gt: new Date() },
+    });
+
+    console.log(`\n✅ Active key: ${key.kid}`);
+    retired.forEach((old) => {
+      console.log(
+        `⏳ Retired key ${
+          old.kid
+        } verifies tokens until ${old.expiresAt.toISOString()}`
+      );
+    });
+
+    // Keys past their grace period are no longer needed
+    const { deletedCount } = await SigningKey.deleteMany({
+      active: false,
+      expiresAt: { $lte: new Date() },
+    });
+    if (deletedCount) {
+      console.log(`🗑️  Removed ${deletedCount} expired key(s)`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error rotating keys:", error.message);
+    process.exit(1);
+  }
+};
+
+// Run rotation
+rotateKeys();
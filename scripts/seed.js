@@ -3,6 +3,8 @@ const dotenv = require("dotenv");
 const User = require("../models/User");
 const Category = require("../models/Category");
 const Tag = require("../models/Tag");
+const Role = require("../models/Role");
+const { DEFAULT_ROLE_PERMISSIONS } = require("../config/permissions");
 const connectDB = require("../config/database");
 
 // Load env vars
@@ -17,6 +19,16 @@ const seedData = async () => {
     await User.deleteMany({});
     await Category.deleteMany({});
     await Tag.deleteMany({});
+    await Role.deleteMany({});
+
+    // Create roles with default permissions
+    console.log("Creating roles...");
+    await Role.create(
+      Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+        name,
+        permissions,
+      }))
+    );
 
     // Create admin user
     console.log("Creating admin user...");
@@ -25,6 +37,7 @@ const seedData = async () => {
       email: "admin@blogapi.com",
       password: "Admin123",
       role: "admin",
+      isEmailVerified: true,
       bio: "Blog administrator with full access to manage all content and users.",
     });
 
@@ -35,6 +48,7 @@ const seedData = async () => {
       email: "editor@blogapi.com",
       password: "Editor123",
       role: "editor",
+      isEmailVerified: true,
       bio: "Blog editor responsible for creating and managing posts and comments.",
     });
 
@@ -45,6 +59,7 @@ const seedData = async () => {
       email: "user@blogapi.com",
       password: "User123",
       role: "user",
+      isEmailVerified: true,
       bio: "A regular blog reader who enjoys commenting and engaging with content.",
     });
 
@@ -106,6 +121,7 @@ const seedData = async () => {
 
     console.log("\n📊 Created:");
     console.log(`- ${3} users`);
+    console.log(`- ${Object.keys(DEFAULT_ROLE_PERMISSIONS).length} roles`);
     console.log(`- ${categories.length} categories`);
     console.log(`- ${tags.length} tags`);
 
@@ -6,6 +6,10 @@ const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/database");
 const { swaggerSetup } = require("./config/swagger");
 const errorHandler = require("./middlewares/error");
+const { purgeDueAccounts } = require("./utils/accounts");
+const { runPostSchedule } = require("./utils/postSchedule");
+const { purgeExpiredTrash } = require("./utils/trash");
+const { scheduleJob, startScheduler } = require("./utils/scheduler");
 
 // Load env vars
 dotenv.config();
@@ -46,6 +50,8 @@ app.use(
       return callback(new Error("Not allowed by CORS: " + origin));
     },
     credentials: true,
+    // Clients read the version from ETag and send it back in If-Match
+    exposedHeaders: ["ETag"],
   })
 );
 
@@ -80,6 +86,9 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Public signing keys for access token verification
+app.use("/.well-known", require("./routes/wellKnown"));
+
 // API Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
@@ -87,6 +96,8 @@ app.use("/api/posts", require("./routes/posts"));
 app.use("/api/comments", require("./routes/comments"));
 app.use("/api/categories", require("./routes/categories"));
 app.use("/api/tags", require("./routes/tags"));
+app.use("/api/roles", require("./routes/roles"));
+app.use("/api/trash", require("./routes/trash"));
 
 // Welcome message for root endpoint
 app.get("/", (req, res) => {
@@ -103,6 +114,9 @@ app.get("/", (req, res) => {
       comments: "/api/comments",
       categories: "/api/categories",
       tags: "/api/tags",
+      roles: "/api/roles",
+      trash: "/api/trash",
+      jwks: "/.well-known/jwks.json",
     },
   });
 });
@@ -137,6 +151,46 @@ const server = app.listen(PORT, () => {
   }
 });
 
+// Publish and unpublish posts at their scheduled times
+scheduleJob(
+  "post-schedule",
+  (parseInt(process.env.POST_SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000,
+  async () => {
+    const { published, unpublished } = await runPostSchedule();
+    if (published || unpublished) {
+      console.log(
+        `🗓️  Published ${published} and unpublished ${unpublished} scheduled post(s)`
+      );
+    }
+  }
+);
+
+// Purge accounts whose deletion grace period has ended
+scheduleJob(
+  "account-purge",
+  (parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+  async () => {
+    const purged = await purgeDueAccounts();
+    if (purged) {
+      console.log(`🗑️  Purged ${purged} deleted account(s)`);
+    }
+  }
+);
+
+// Purge items that have been in the trash longer than the retention period
+scheduleJob(
+  "trash-purge",
+  (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+  async () => {
+    const purged = await purgeExpiredTrash();
+    if (purged) {
+      console.log(`🗑️  Purged ${purged} item(s) from the trash`);
+    }
+  }
+);
+
+startScheduler();
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err, promise) => {
   console.log(`❌ Unhandled Rejection: ${err.message}`);
@@ -0,0 +1,121 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const Identity = require("../models/Identity");
+const MagicLink = require("../models/MagicLink");
+const LoginAttempt = require("../models/LoginAttempt");
+const {
+  CONTENT_ACTIONS,
+  defaultContentAction,
+  removeDocument,
+} = require("./integrity");
+const { withTransaction } = require("./transaction");
+
+const deletionGraceDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isNaN(days) ? 14 : days;
+};
+
+// Gather everything stored about a user into a plain object
+const exportUserData = async (user) => {
+  const [posts, contributions, comments, likedPosts, likedComments] =
+    await Promise.all([
+      Post.find({ author: user._id })
+        .withDeleted()
+        .populate("category", "name slug")
+        .populate("tags", "name slug")
+        .select("-likes")
+        .lean(),
+      // Posts by others that credit the user
+      Post.find({ "contributors.user": user._id, author: { $ne: user._id } })
+        .select("title slug contributors")
+        .lean(),
+      Comment.find({ author: user._id })
+        .withDeleted()
+        .populate("post", "title slug")
+        .select("-likes")
+        .lean(),
+      Post.find({ likes: user._id }).select("title slug").lean(),
+      Comment.find({ likes: user._id }).select("content post").lean(),
+    ]);
+
+  const [sessions, identities, apiKeys, loginHistory] = await Promise.all([
+    Session.find({ user: user._id }).lean(),
+    Identity.find({ user: user._id }).lean(),
+    ApiKey.find({ user: user._id }).lean(),
+    LoginAttempt.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    posts,
+    contributions,
+    comments,
+    likes: {
+      posts: likedPosts,
+      comments: likedComments,
+    },
+    identities,
+    apiKeys,
+    sessions,
+    loginHistory,
+  };
+};
+
+// Permanently remove a user. Authored content is reassigned to `reassignTo`
+// or handled per `content`; everything else follows the rules in
+// config/integrity.js. All of it happens in one transaction.
+const purgeUser = async (
+  user,
+  { content = defaultContentAction(), reassignTo } = {}
+) =>
+  withTransaction(async () => {
+    await removeDocument("user", user, { content, reassignTo });
+    await MagicLink.deleteMany({ email: user.email });
+  });
+
+// A claimed purge that has not finished after this long is retried
+const PURGE_CLAIM_TTL_MS = 60 * 60 * 1000;
+
+// Purge accounts whose deletion grace period has ended
+const purgeDueAccounts = async () => {
+  let purged = 0;
+
+  for (;;) {
+    // Claim one account at a time so concurrent runs never share work
+    const user = await User.findOneAndUpdate(
+      {
+        deletionScheduledFor: { $lte: new Date() },
+        $or: [
+          { deletionStartedAt: null },
+          {
+            deletionStartedAt: {
+              $lt: new Date(Date.now() - PURGE_CLAIM_TTL_MS),
+            },
+          },
+        ],
+      },
+      { deletionStartedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return purged;
+    }
+
+    await purgeUser(user, { content: user.deletionContent });
+    purged += 1;
+  }
+};
+
+module.exports = {
+  CONTENT_ACTIONS,
+  defaultContentAction,
+  deletionGraceDays,
+  exportUserData,
+  purgeUser,
+  purgeDueAccounts,
+};
@@ -0,0 +1,147 @@
+// Most items a single bulk request may touch
+const bulkMaxItems = () => parseInt(process.env.BULK_MAX_ITEMS, 10) || 100;
+
+// Keep the allowed filter fields with plain values, so a request body cannot
+// smuggle in query operators
+const pickFilter = (filter, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    const value = filter[field];
+    if (["string", "number", "boolean"].includes(typeof value)) {
+      picked[field] = value;
+    }
+  });
+  return picked;
+};
+
+// Load the documents a bulk request targets: the listed `ids`, or everything
+// matching `filter`, within `scope`, the documents the caller may see. Ids
+// outside it are reported as missing. Returns { documents, missing } or the
+// status code and message to respond with.
+const findTargets = async (
+  Model,
+  { ids, filter },
+  filterFields,
+  scope = {}
+) => {
+  const max = bulkMaxItems();
+
+  if (!ids === !filter) {
+    return { statusCode: 400, message: "Provide either ids or a filter" };
+  }
+
+  if (ids) {
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length > max) {
+      return {
+        statusCode: 400,
+        message: `A bulk request can include at most ${max} items`,
+      };
+    }
+
+    const documents = await Model.find({
+      $and: [scope, { _id: { $in: unique } }],
+    });
+    const found = new Set(documents.map((doc) => doc._id.toString()));
+    return {
+      documents,
+      missing: unique.filter((id) => !found.has(id)),
+    };
+  }
+
+  const picked = pickFilter(filter, filterFields);
+  if (Object.keys(picked).length === 0) {
+    return {
+      statusCode: 400,
+      message: `Filter must use at least one of: ${filterFields.join(", ")}`,
+    };
+  }
+
+  const query = { $and: [scope, picked] };
+  const total = await Model.countDocuments(query);
+  if (total > max) {
+    return {
+      statusCode: 400,
+      message: `Filter matches ${total} items, more than the ${max} allowed per request; narrow it down`,
+    };
+  }
+
+  return { documents: await Model.find(query), missing: [] };
+};
+
+// Apply an action to each document, one at a time, and report every item.
+// `action.check(doc)` returns null or the status code and message that keep
+// the item unchanged; `action.apply(doc)` makes the change, skipped on a dry
+// run. A failing item does not stop the others.
+const runBulk = async ({ name, documents, missing, action, dryRun }) => {
+  const notFound = (id) => ({
+    id,
+    success: false,
+    statusCode: 404,
+    message: `${name} not found with id of ${id}`,
+  });
+  const results = missing.map(notFound);
+
+  for (const doc of documents) {
+    const id = doc._id.toString();
+
+    try {
+      // Trashed along with an earlier item, e.g. a reply with its comment
+      if (!dryRun && !(await doc.constructor.exists({ _id: doc._id }))) {
+        results.push(notFound(id));
+        continue;
+      }
+
+      const denied = await action.check(doc);
+      if (denied) {
+        results.push({ id, success: false, ...denied });
+        continue;
+      }
+
+      if (!dryRun) {
+        await action.apply(doc);
+      }
+      results.push({
+        id,
+        success: true,
+        message: `${name} ${dryRun ? "would be " : ""}${action.label}`,
+      });
+    } catch (error) {
+      // Only validation messages are meant for the client
+      const invalid = error.name === "ValidationError";
+      if (!invalid) {
+        console.error(`Bulk ${action.label} failed for ${id}:`, error);
+      }
+      results.push({
+        id,
+        success: false,
+        statusCode: invalid ? 400 : 500,
+        message: invalid ? error.message : "Server Error",
+      });
+    }
+  }
+
+  return results;
+};
+
+const sendBulkResults = (res, { action, dryRun, results }) => {
+  const succeeded = results.filter((result) => result.success).length;
+
+  res.status(200).json({
+    success: true,
+    action,
+    dryRun,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+    results,
+  });
+};
+
+module.exports = {
+  findTargets,
+  runBulk,
+  sendBulkResults,
+};
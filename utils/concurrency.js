@@ -0,0 +1,124 @@
+// Optimistic concurrency: documents carry a `version` that changes on every
+// edit, exposed as an ETag and checked against If-Match before updates.
+
+const UPDATE_OPS = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+// Mongoose plugin adding `version`. Writes that only touch `ignore` paths
+// (likes, view counts, ...) leave it alone.
+const versioned = (schema, { ignore = [] } = {}) => {
+  schema.add({
+    version: {
+      type: Number,
+      default: 0,
+    },
+  });
+
+  const counts = (path) =>
+    path !== "version" &&
+    !ignore.some(
+      (ignored) => path === ignored || path.startsWith(`${ignored}.`)
+    );
+
+  schema.pre("save", function () {
+    if (!this.isNew && this.modifiedPaths().some(counts)) {
+      this.version = (this.version || 0) + 1;
+    }
+  });
+
+  schema.pre(UPDATE_OPS, function () {
+    const update = this.getUpdate() || {};
+
+    // Aggregation pipeline updates: fields set by $set/$addFields stages and
+    // removed by $unset stages, bumped with a stage of their own
+    if (Array.isArray(update)) {
+      const paths = update.flatMap((stage) => {
+        const fields = stage.$set || stage.$addFields;
+        if (fields) {
+          return Object.keys(fields);
+        }
+        return stage.$unset ? [].concat(stage.$unset) : [];
+      });
+
+      if (paths.some(counts)) {
+        this.setUpdate([
+          ...update,
+          { $set: { version: { $add: [{ $ifNull: ["$version", 0] }, 1] } } },
+        ]);
+      }
+      return;
+    }
+
+    const paths = Object.keys(update).flatMap((key) =>
+      key.startsWith("$") ? Object.keys(update[key] || {}) : [key]
+    );
+
+    if (paths.some(counts)) {
+      update.$inc = { ...update.$inc, version: 1 };
+      this.setUpdate(update);
+    }
+  });
+};
+
+const VERSION_CONFLICT = {
+  statusCode: 412,
+  message: "This resource was changed by someone else since you read it",
+};
+
+const etagFor = (doc) => `W/"${doc.version || 0}"`;
+
+// Query matching the document only while it is still at `doc`'s version.
+// Documents stored before versioning have no version field.
+const sameVersion = (doc) => ({
+  _id: doc._id,
+  version: doc.version ? doc.version : { $in: [0, null] },
+});
+
+// Check the request's If-Match header against the document. Returns null
+// when the update may go ahead, otherwise the status code and message.
+const checkIfMatch = (req, doc) => {
+  const header = req.get("If-Match");
+
+  if (!header) {
+    return {
+      statusCode: 428,
+      message:
+        "Send the ETag from your last read in an If-Match header to update",
+    };
+  }
+
+  const current = etagFor(doc).replace(/^W\//, "");
+  const matches = header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === current);
+
+  return matches ? null : VERSION_CONFLICT;
+};
+
+// Reject an update that failed its precondition. A 412 carries the current
+// version so the client can merge and retry.
+const sendPreconditionFailed = (res, failure, doc) => {
+  if (failure.statusCode !== 412) {
+    return res.status(failure.statusCode).json({
+      success: false,
+      message: failure.message,
+    });
+  }
+
+  res.set("ETag", etagFor(doc));
+  return res.status(412).json({
+    success: false,
+    message: failure.message,
+    currentVersion: doc.version || 0,
+    data: doc,
+  });
+};
+
+module.exports = {
+  VERSION_CONFLICT,
+  versioned,
+  etagFor,
+  sameVersion,
+  checkIfMatch,
+  sendPreconditionFailed,
+};
@@ -0,0 +1,173 @@
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+const FORMATS = ["markdown", "html", "plain"];
+
+// Longest generated excerpt, leaving room under the 300 character limit
+const EXCERPT_LENGTH = 200;
+
+const markdown = new Marked({ gfm: true, breaks: false });
+
+// Everything not listed here is removed from rendered content
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "blockquote",
+    "pre",
+    "code",
+    "em",
+    "strong",
+    "del",
+    "s",
+    "sup",
+    "sub",
+    "a",
+    "img",
+    "ul",
+    "ol",
+    "li",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: {
+    img: ["http", "https"],
+  },
+  allowProtocolRelative: false,
+  disallowedTagsMode: "discard",
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", {
+      rel: "nofollow noopener noreferrer",
+    }),
+  },
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+// Visible text of sanitized HTML
+const htmlToText = (html) =>
+  decodeEntities(html.replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "section";
+
+// Give every heading a unique id and collect them as a table of contents
+const addHeadingIds = (html) => {
+  const toc = [];
+  const used = new Map();
+
+  const withIds = html.replace(
+    /<h([1-6])>([\s\S]*?)<\/h\1>/g,
+    (match, level, inner) => {
+      const text = htmlToText(inner);
+      const base = slugify(text);
+      const count = used.get(base) || 0;
+      used.set(base, count + 1);
+      const id = count ? `${base}-${count + 1}` : base;
+
+      toc.push({ level: Number(level), text, id });
+      return `<h${level} id="${id}">${inner}</h${level}>`;
+    }
+  );
+
+  return { html: withIds, toc };
+};
+
+const plainToHtml = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map(
+      (paragraph) =>
+        `<p>${escapeHtml(paragraph).replace(/\r?\n/g, "<br />")}</p>`
+    )
+    .join("\n");
+
+// Opening paragraphs of the content, cut at a word boundary. Headings, code
+// and tables are skipped unless there are no paragraphs at all.
+const makeExcerpt = (html, length = EXCERPT_LENGTH) => {
+  const paragraphs = html.match(/<p>[\s\S]*?<\/p>/g);
+  const text = htmlToText(paragraphs ? paragraphs.join(" ") : html);
+
+  if (text.length <= length) {
+    return text;
+  }
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(
+    /[\s.,;:!?-]+$/,
+    ""
+  )}…`;
+};
+
+// Render post content to sanitized HTML. Returns the HTML, a table of
+// contents built from its headings and a generated excerpt.
+const renderContent = (content, format = "markdown") => {
+  const source = content || "";
+
+  let html;
+  if (format === "plain") {
+    html = plainToHtml(source);
+  } else {
+    const raw =
+      format === "html" ? source : markdown.parse(source, { async: false });
+    html = sanitizeHtml(raw, SANITIZE_OPTIONS);
+  }
+
+  const { html: withIds, toc } = addHeadingIds(html);
+
+  return {
+    html: withIds,
+    toc,
+    excerpt: makeExcerpt(withIds),
+  };
+};
+
+module.exports = {
+  FORMATS,
+  renderContent,
+};
@@ -0,0 +1,142 @@
+// Word-level text diff (Myers' O(ND) algorithm)
+
+// Beyond this many edits the texts are treated as entirely replaced. The
+// backtracking trace grows with its square, so keep it small enough for a
+// request to diff long posts cheaply.
+const MAX_EDIT_DISTANCE = 1000;
+
+// Words and the whitespace between them, so joining tokens restores the text
+const tokenize = (text) => (text || "").match(/\s+|\S+/g) || [];
+
+// Shortest edit script between two token arrays, as a list of
+// { op: "equal" | "delete" | "insert", token }
+const editScript = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Furthest reaching x per diagonal before each round, for backtracking
+  const trace = [];
+
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+
+  return [
+    ...a.map((token) => ({ op: "delete", token })),
+    ...b.map((token) => ({ op: "insert", token })),
+  ];
+};
+
+const backtrack = (a, b, trace) => {
+  const script = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d -= 1) {
+    // trace[d] covers diagonals -d - 1 .. d + 1
+    const furthest = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && furthest(k - 1) < furthest(k + 1))
+        ? k + 1
+        : k - 1;
+    const prevX = furthest(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x -= 1;
+      y -= 1;
+      script.push({ op: "equal", token: a[x] });
+    }
+
+    if (prevK === k + 1) {
+      y -= 1;
+      script.push({ op: "insert", token: b[y] });
+    } else {
+      x -= 1;
+      script.push({ op: "delete", token: a[x] });
+    }
+  }
+
+  while (x > 0) {
+    x -= 1;
+    script.push({ op: "equal", token: a[x] });
+  }
+
+  return script.reverse();
+};
+
+// Diff two texts word by word. Returns the changes as runs of
+// { op, text } plus the number of words inserted and deleted.
+const diffWords = (from, to) => {
+  const a = tokenize(from);
+  const b = tokenize(to);
+
+  // Skip the unchanged head and tail before running the diff
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  const script = [
+    ...a.slice(0, start).map((token) => ({ op: "equal", token })),
+    ...editScript(
+      a.slice(start, a.length - end),
+      b.slice(start, b.length - end)
+    ),
+    ...a.slice(a.length - end).map((token) => ({ op: "equal", token })),
+  ];
+
+  const changes = [];
+  const stats = { insertions: 0, deletions: 0 };
+
+  script.forEach(({ op, token }) => {
+    if (op === "insert" && /\S/.test(token)) {
+      stats.insertions += 1;
+    }
+    if (op === "delete" && /\S/.test(token)) {
+      stats.deletions += 1;
+    }
+
+    const last = changes[changes.length - 1];
+    if (last && last.op === op) {
+      last.text += token;
+    } else {
+      changes.push({ op, text: token });
+    }
+  });
+
+  return { changes, ...stats };
+};
+
+module.exports = {
+  diffWords,
+};
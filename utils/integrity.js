@@ -0,0 +1,315 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Category = require("../models/Category");
+const Tag = require("../models/Tag");
+const PostRevision = require("../models/PostRevision");
+const PostReview = require("../models/PostReview");
+const SlugHistory = require("../models/SlugHistory");
+const EditLock = require("../models/EditLock");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const ApiKey = require("../models/ApiKey");
+const Identity = require("../models/Identity");
+const OAuthState = require("../models/OAuthState");
+const LoginAttempt = require("../models/LoginAttempt");
+const { DELETE_RULES, TYPE_MODELS } = require("../config/integrity");
+const { withTransaction } = require("./transaction");
+
+const MODELS = {
+  User,
+  Post,
+  Comment,
+  Category,
+  Tag,
+  PostRevision,
+  PostReview,
+  SlugHistory,
+  EditLock,
+  Session,
+  RefreshToken,
+  ApiKey,
+  Identity,
+  OAuthState,
+  LoginAttempt,
+};
+
+// What happens to a deleted user's posts and comments:
+// "anonymize" reassigns them to the "Deleted user" account, "delete" removes them
+const CONTENT_ACTIONS = ["anonymize", "delete"];
+
+const defaultContentAction = () =>
+  CONTENT_ACTIONS.includes(process.env.ACCOUNT_DELETION_CONTENT)
+    ? process.env.ACCOUNT_DELETION_CONTENT
+    : "anonymize";
+
+// Placeholder author for anonymized content. It cannot sign in.
+const getDeletedUser = async () => {
+  const email = process.env.DELETED_USER_EMAIL || "deleted-user@blogapi.com";
+
+  return User.findOneAndUpdate(
+    { email },
+    {
+      $setOnInsert: {
+        name: "Deleted user",
+        email,
+        hasPassword: false,
+        isActive: false,
+        isEmailVerified: true,
+      },
+    },
+    { new: true, upsert: true }
+  );
+};
+
+const typeOfModel = (name) =>
+  Object.keys(TYPE_MODELS).find((type) => TYPE_MODELS[type] === name);
+
+const isSoftDeletable = (Model) => !!Model.schema.path("deletedAt");
+
+const referenceFilter = (rule, id) => ({ ...rule.where, [rule.path]: id });
+
+// Rules that look at every reference, trashed or not
+const withTrashed = (query) => query.setOptions({ withDeleted: true });
+
+// What a rule does for this deletion; reassign rules depend on the options
+const actionFor = (rule, { reassignTo, content = defaultContentAction() }) => {
+  if (rule.rule !== "reassign") {
+    return rule.rule;
+  }
+  if (reassignTo) {
+    return "reassign";
+  }
+  return content === "delete" ? "cascade" : "anonymize";
+};
+
+// Refuse to delete a document live documents still depend on. Returns null
+// or the status code and message.
+const checkDeleteBlocked = async (type, doc) => {
+  for (const rule of DELETE_RULES[type]) {
+    if (rule.rule !== "block") {
+      continue;
+    }
+
+    const count = await MODELS[rule.model].countDocuments(
+      referenceFilter(rule, doc._id)
+    );
+    if (count > 0) {
+      return {
+        statusCode: 400,
+        message: `Cannot delete ${type}. It is being used by ${count} ${rule.model.toLowerCase()}(s)`,
+      };
+    }
+  }
+
+  return null;
+};
+
+// Rules applied when a document moves to the trash. Dependents that can be
+// trashed go with it, sharing its deletedAt so they are restored together.
+// The rest, including handing over a user's content, waits for the purge so
+// a restored user gets everything back.
+const trashDependents = async (type, doc, trashed, options = {}) => {
+  for (const rule of DELETE_RULES[type]) {
+    const Model = MODELS[rule.model];
+    const filter = referenceFilter(rule, doc._id);
+
+    if (actionFor(rule, options) === "cascade" && isSoftDeletable(Model)) {
+      const dependents = await Model.find(filter).select("_id");
+      await Model.updateMany(
+        { _id: { $in: dependents.map((dependent) => dependent._id) } },
+        trashed
+      );
+
+      const dependentType = typeOfModel(rule.model);
+      for (const dependent of dependents) {
+        await trashDependents(dependentType, dependent, trashed, options);
+      }
+    }
+  }
+};
+
+// Bring back the dependents that were trashed together with a document
+const restoreDependents = async (type, doc, restored) => {
+  for (const rule of DELETE_RULES[type]) {
+    const Model = MODELS[rule.model];
+    if (
+      !isSoftDeletable(Model) ||
+      !["cascade", "reassign"].includes(rule.rule)
+    ) {
+      continue;
+    }
+
+    const dependents = await Model.find({
+      ...referenceFilter(rule, doc._id),
+      deletedAt: doc.deletedAt,
+    }).select("_id deletedAt");
+    await Model.updateMany(
+      { _id: { $in: dependents.map((dependent) => dependent._id) } },
+      restored
+    );
+
+    const dependentType = typeOfModel(rule.model);
+    for (const dependent of dependents) {
+      await restoreDependents(dependentType, dependent, restored);
+    }
+  }
+};
+
+// Point the references to a deleted user at another user, moving the user's
+// entry in the rule's `credit` array too. The new user's own entries on those
+// documents are dropped first so nobody is listed twice.
+const handOver = async (rule, id, to) => {
+  const Model = MODELS[rule.model];
+  const filter = referenceFilter(rule, id);
+
+  if (rule.credit) {
+    const [array, field] = rule.credit.split(".");
+    await Model.updateMany(filter, { $pull: { [array]: { [field]: to } } });
+    await Model.updateMany(
+      filter,
+      { $set: { [`${array}.$[entry].${field}`]: to } },
+      { arrayFilters: [{ [`entry.${field}`]: id }] }
+    );
+  }
+
+  await Model.updateMany(filter, { [rule.path]: to });
+};
+
+// Apply one rule to the references to a document that is deleted for good
+const applyRule = async (rule, id, options) => {
+  const Model = MODELS[rule.model];
+  const filter = referenceFilter(rule, id);
+
+  switch (actionFor(rule, options)) {
+    case "cascade": {
+      const dependentType = typeOfModel(rule.model);
+      if (!dependentType) {
+        await Model.deleteMany(filter);
+        break;
+      }
+
+      const dependents = await withTrashed(Model.find(filter).select("_id"));
+      for (const dependent of dependents) {
+        await removeDocument(dependentType, dependent, options);
+      }
+      break;
+    }
+    case "reassign":
+      await handOver(rule, id, options.reassignTo);
+      break;
+    case "anonymize": {
+      const deletedUser = await getDeletedUser();
+      await handOver(rule, id, deletedUser._id);
+      break;
+    }
+    case "pull": {
+      const [array, field] = rule.path.split(".");
+      await Model.updateMany(filter, {
+        $pull: { [array]: field ? { [field]: id } : id },
+      });
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+// Delete a document for good, applying its rules to everything that
+// references it. Returns false, deleting nothing, while a block rule still
+// applies, e.g. to a category used by posts that are in the trash.
+const removeDocument = async (type, doc, options = {}) =>
+  withTransaction(async () => {
+    for (const rule of DELETE_RULES[type]) {
+      if (
+        rule.rule === "block" &&
+        (await withTrashed(
+          MODELS[rule.model].exists(referenceFilter(rule, doc._id))
+        ))
+      ) {
+        return false;
+      }
+    }
+
+    for (const rule of DELETE_RULES[type]) {
+      await applyRule(rule, doc._id, options);
+    }
+
+    await MODELS[TYPE_MODELS[type]].deleteOne({ _id: doc._id });
+    return true;
+  });
+
+// References whose target document no longer exists, grouped by rule
+const findOrphans = async () => {
+  const orphans = [];
+
+  for (const [type, rules] of Object.entries(DELETE_RULES)) {
+    const Target = MODELS[TYPE_MODELS[type]];
+
+    for (const rule of rules) {
+      const Model = MODELS[rule.model];
+      const referenced = (
+        await withTrashed(Model.distinct(rule.path, rule.where || {}))
+      ).filter(Boolean);
+      if (referenced.length === 0) {
+        continue;
+      }
+
+      const existing = await withTrashed(
+        Target.distinct("_id", { _id: { $in: referenced } })
+      );
+      const existingIds = new Set(existing.map(String));
+      const missing = referenced.filter((id) => !existingIds.has(String(id)));
+      if (missing.length === 0) {
+        continue;
+      }
+
+      const documents = await withTrashed(
+        Model.countDocuments(referenceFilter(rule, { $in: missing }))
+      );
+      orphans.push({ type, ...rule, missing, documents });
+    }
+  }
+
+  return orphans;
+};
+
+// Apply the rules to orphaned references as if their targets had just been
+// deleted. Block rules cannot be applied: array references are dropped,
+// others are left for an admin to fix.
+const repairOrphans = async (orphans, options = {}) => {
+  let repaired = 0;
+  let skipped = 0;
+
+  for (const orphan of orphans) {
+    const { instance } = MODELS[orphan.model].schema.path(orphan.path);
+    const rule =
+      orphan.rule === "block" && instance === "Array"
+        ? { ...orphan, rule: "pull" }
+        : orphan;
+
+    if (rule.rule === "block") {
+      skipped += orphan.documents;
+      continue;
+    }
+
+    for (const id of orphan.missing) {
+      await withTransaction(() => applyRule(rule, id, options));
+    }
+    repaired += orphan.documents;
+  }
+
+  return { repaired, skipped };
+};
+
+module.exports = {
+  CONTENT_ACTIONS,
+  defaultContentAction,
+  getDeletedUser,
+  checkDeleteBlocked,
+  trashDependents,
+  restoreDependents,
+  removeDocument,
+  findOrphans,
+  repairOrphans,
+};
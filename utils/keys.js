@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const SigningKey = require("../models/SigningKey");
+
+const CACHE_TTL_MS = 60 * 1000;
+// Unknown kids reload the keys early, but at most this often, so tokens with
+// made-up kids cannot force a database read per request
+const MIN_RELOAD_INTERVAL_MS = 10 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+// Signing algorithm for access tokens: HS256 (JWT_SECRET), RS256 or ES256
+const getAlgorithm = () => process.env.JWT_ALGORITHM || "HS256";
+
+const isAsymmetric = () => getAlgorithm() !== "HS256";
+
+// How long a retired key keeps verifying tokens
+const gracePeriodMs = () =>
+  (parseInt(process.env.JWT_KEY_GRACE_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Generate a key pair for the algorithm and wrap it as a document
+const generateKeyPair = (alg) => {
+  const privateKeyEncoding = { type: "pkcs8", format: "pem" };
+  if (process.env.JWT_KEY_PASSPHRASE) {
+    privateKeyEncoding.cipher = "aes-256-cbc";
+    privateKeyEncoding.passphrase = process.env.JWT_KEY_PASSPHRASE;
+  }
+
+  const options =
+    alg === "ES256"
+      ? { namedCurve: "P-256" }
+      : { modulusLength: parseInt(process.env.JWT_RSA_BITS, 10) || 2048 };
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(
+    alg === "ES256" ? "ec" : "rsa",
+    {
+      ...options,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding,
+    }
+  );
+
+  return {
+    kid: crypto.randomBytes(8).toString("hex"),
+    alg,
+    publicKey,
+    privateKey,
+  };
+};
+
+// Drop cached keys (after rotation)
+const clearKeyCache = () => {
+  cache = null;
+};
+
+// Load the active key and every key still valid for verification
+const loadKeys = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const keys = await SigningKey.find({
+    $or: [{ active: true }, { expiresAt: { $gt: new Date() } }],
+  }).select("+privateKey");
+
+  cache = {
+    active: keys.find((key) => key.active) || null,
+    byKid: new Map(keys.map((key) => [key.kid, key])),
+  };
+  cachedAt = Date.now();
+  return cache;
+};
+
+// Create a new active key and retire the previous one with a grace period
+const rotateSigningKey = async () => {
+  const alg = getAlgorithm();
+  if (!["RS256", "ES256"].includes(alg)) {
+    throw new Error(`Key rotation requires JWT_ALGORITHM RS256 or ES256`);
+  }
+
+  const now = new Date();
+  await SigningKey.updateMany(
+    { active: true },
+    {
+      active: false,
+      retiredAt: now,
+      expiresAt: new Date(now.getTime() + gracePeriodMs()),
+    }
+  );
+
+  const key = await SigningKey.create({
+    ...generateKeyPair(alg),
+    active: true,
+  });
+
+  clearKeyCache();
+  return key;
+};
+
+// Key used to sign new access tokens; created on first use
+const getSigningKey = async () => {
+  let { active } = await loadKeys();
+
+  if (!active) {
+    await rotateSigningKey();
+    ({ active } = await loadKeys());
+  }
+
+  return {
+    kid: active.kid,
+    alg: active.alg,
+    key: { key: active.privateKey, passphrase: process.env.JWT_KEY_PASSPHRASE },
+  };
+};
+
+// Public key for a kid, or null when unknown or past its grace period
+const getVerificationKey = async (kid) => {
+  let keys = await loadKeys();
+
+  // A key created by another instance may not be cached yet
+  if (!keys.byKid.has(kid) && Date.now() - cachedAt >= MIN_RELOAD_INTERVAL_MS) {
+    clearKeyCache();
+    keys = await loadKeys();
+  }
+
+  const key = keys.byKid.get(kid);
+  return key ? { alg: key.alg, publicKey: key.publicKey } : null;
+};
+
+// Public keys in JWK Set format
+const getJwks = async () => {
+  if (!isAsymmetric()) {
+    return { keys: [] };
+  }
+
+  const { byKid } = await loadKeys();
+
+  return {
+    keys: [...byKid.values()].map((key) => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    })),
+  };
+};
+
+module.exports = {
+  getAlgorithm,
+  isAsymmetric,
+  rotateSigningKey,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  clearKeyCache,
+};
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+
+// Print messages to stdout (default for development)
+const consoleTransport = {
+  send: async (message) => {
+    console.log("📧 Email:", JSON.stringify(message, null, 2));
+    return message;
+  },
+};
+
+// Write each message as a JSON file (useful for tests and local inspection)
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join("logs", "mail");
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const file = path.join(
+      dir,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+    );
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return message;
+  },
+};
+
+// Deliver through an SMTP server (production)
+let smtpClient;
+const smtpTransport = {
+  send: async (message) => {
+    if (!smtpClient) {
+      const nodemailer = require("nodemailer");
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    return smtpClient.sendMail(message);
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+let activeTransport = null;
+
+// Override the transport (e.g. with an in-memory one in tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendEmail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "Blog API <no-reply@blogapi.com>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  transports,
+};
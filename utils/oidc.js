@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Only asymmetric signatures are accepted on ID tokens
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Error carrying the HTTP status the global error handler should use
+const oidcError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw oidcError(`Identity provider request failed: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw oidcError(
+      `Identity provider responded with ${response.status}${
+        reason ? `: ${reason}` : ""
+      }`
+    );
+  }
+
+  if (!body) {
+    throw oidcError("Identity provider returned an invalid response");
+  }
+
+  return body;
+};
+
+// Fetch (and cache) the provider's discovery document
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+    return cached.document;
+  }
+
+  const document = await fetchJson(
+    `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+  );
+
+  if (document.issuer !== provider.issuer) {
+    throw oidcError("Discovery document issuer does not match the provider");
+  }
+
+  const missing = [
+    "authorization_endpoint",
+    "token_endpoint",
+    "jwks_uri",
+  ].filter((field) => !document[field]);
+  if (missing.length) {
+    throw oidcError(`Discovery document is missing ${missing.join(", ")}`);
+  }
+
+  discoveryCache.set(provider.issuer, { document, fetchedAt: Date.now() });
+  return document;
+};
+
+// Random URL-safe value for state, nonce and PKCE verifiers
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// PKCE S256 challenge for a verifier
+const codeChallenge = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+const buildAuthorizationUrl = (
+  provider,
+  discovery,
+  { state, nonce, codeVerifier, redirectUri }
+) => {
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", provider.clientId);
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("scope", provider.scope);
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge(codeVerifier));
+  url.searchParams.set("code_challenge_method", "S256");
+  return url.toString();
+};
+
+// Redeem an authorization code at the token endpoint
+const exchangeCode = async (
+  provider,
+  discovery,
+  { code, codeVerifier, redirectUri }
+) => {
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId,
+  });
+  const headers = {
+    "Content-Type": "application/x-www-form-urlencoded",
+    Accept: "application/json",
+  };
+
+  if (provider.clientSecret) {
+    const methods = discovery.token_endpoint_auth_methods_supported || [
+      "client_secret_basic",
+    ];
+
+    if (methods.includes("client_secret_basic")) {
+      const credentials = `${encodeURIComponent(
+        provider.clientId
+      )}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString(
+        "base64"
+      )}`;
+    } else {
+      params.set("client_secret", provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: "POST",
+    headers,
+    body: params.toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError("Identity provider did not return an ID token");
+  }
+
+  return tokens;
+};
+
+// Find the provider's signing key, refetching the JWKS once on a miss
+const getProviderKey = async (jwksUri, kid) => {
+  const findKey = (keys) =>
+    keys.find((key) => (kid ? key.kid === kid : !key.use || key.use === "sig"));
+
+  const cached = jwksCache.get(jwksUri);
+  let key = cached && findKey(cached);
+
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys);
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw oidcError("ID token was signed with an unknown key", 401);
+  }
+
+  return crypto.createPublicKey({ key, format: "jwk" });
+};
+
+// Validate an ID token's signature and claims and return the claims
+const verifyIdToken = async (provider, discovery, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError("Invalid ID token", 401);
+  }
+
+  const { alg, kid } = decoded.header;
+  const supported =
+    discovery.id_token_signing_alg_values_supported || ID_TOKEN_ALGORITHMS;
+  if (!ID_TOKEN_ALGORITHMS.includes(alg) || !supported.includes(alg)) {
+    throw oidcError(`ID token algorithm ${alg} is not accepted`, 401);
+  }
+
+  const publicKey = await getProviderKey(discovery.jwks_uri, kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: [alg],
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60,
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`, 401);
+  }
+
+  if (
+    Array.isArray(claims.aud) &&
+    claims.aud.length > 1 &&
+    claims.azp !== provider.clientId
+  ) {
+    throw oidcError("Invalid ID token: authorized party mismatch", 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError("Invalid ID token: nonce mismatch", 401);
+  }
+
+  if (!claims.sub) {
+    throw oidcError("Invalid ID token: missing subject", 401);
+  }
+
+  return claims;
+};
+
+module.exports = {
+  discover,
+  randomToken,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
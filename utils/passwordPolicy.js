@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+
+const DEFAULT_BREACHED_FILE = path.join(
+  __dirname,
+  "..",
+  "data",
+  "breached-passwords.txt"
+);
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFlag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] !== "false";
+
+// Current policy, read from the environment
+const getPasswordPolicy = () => ({
+  minLength: envInt("PASSWORD_MIN_LENGTH", 6),
+  // bcrypt ignores everything after 72 bytes
+  maxLength: Math.min(envInt("PASSWORD_MAX_LENGTH", 72), 72),
+  requireLowercase: envFlag("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireUppercase: envFlag("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireNumber: envFlag("PASSWORD_REQUIRE_NUMBER", true),
+  requireSymbol: envFlag("PASSWORD_REQUIRE_SYMBOL", false),
+  maxAgeDays: envInt("PASSWORD_MAX_AGE_DAYS", 0),
+  historySize: envInt("PASSWORD_HISTORY", 5),
+  checkBreached: envFlag("PASSWORD_CHECK_BREACHED", true),
+});
+
+// Rules that only depend on the password itself. Returns { code, message }
+// reasons, empty when the password is acceptable.
+const checkPasswordRules = (password, policy = getPasswordPolicy()) => {
+  const reasons = [];
+  const value = typeof password === "string" ? password : "";
+
+  if (value.length < policy.minLength) {
+    reasons.push({
+      code: "too_short",
+      message: `Password must be at least ${policy.minLength} characters long`,
+    });
+  }
+  if (Buffer.byteLength(value) > policy.maxLength) {
+    reasons.push({
+      code: "too_long",
+      message: `Password cannot be longer than ${policy.maxLength} bytes`,
+    });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    reasons.push({
+      code: "missing_lowercase",
+      message: "Password must contain a lowercase letter",
+    });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    reasons.push({
+      code: "missing_uppercase",
+      message: "Password must contain an uppercase letter",
+    });
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    reasons.push({
+      code: "missing_number",
+      message: "Password must contain a number",
+    });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    reasons.push({
+      code: "missing_symbol",
+      message: "Password must contain a symbol",
+    });
+  }
+
+  return reasons;
+};
+
+// Breached password hashes grouped by their 5-character SHA-1 prefix, the
+// same ranges the Pwned Passwords API serves. Lines are "HASH" or
+// "HASH:COUNT"; blank lines and lines starting with # are ignored.
+let breachedRanges = null;
+
+const loadBreachedRanges = () => {
+  if (breachedRanges) {
+    return breachedRanges;
+  }
+
+  const file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_BREACHED_FILE;
+  breachedRanges = new Map();
+
+  let contents = "";
+  try {
+    contents = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    console.error(`Breached password list not loaded: ${error.message}`);
+  }
+
+  contents.split(/\r?\n/).forEach((line) => {
+    const hash = line.split(":")[0].trim().toUpperCase();
+    if (!/^[0-9A-F]{40}$/.test(hash)) {
+      return;
+    }
+
+    const prefix = hash.slice(0, 5);
+    if (!breachedRanges.has(prefix)) {
+      breachedRanges.set(prefix, new Set());
+    }
+    breachedRanges.get(prefix).add(hash.slice(5));
+  });
+
+  return breachedRanges;
+};
+
+// Suffixes of breached hashes sharing a prefix (k-anonymity range lookup)
+const getBreachedRange = (prefix) =>
+  loadBreachedRanges().get(prefix.toUpperCase()) || new Set();
+
+// Whether the password appears in the breached password list. Only the
+// hash prefix is used for the lookup; the suffix is compared locally.
+const isBreachedPassword = (password) => {
+  const hash = crypto
+    .createHash("sha1")
+    .update(password)
+    .digest("hex")
+    .toUpperCase();
+
+  return getBreachedRange(hash.slice(0, 5)).has(hash.slice(5));
+};
+
+// Whether the password matches the current one or one of the last N.
+// `user` must be loaded with +password +passwordHistory.
+const isReusedPassword = async (user, password, policy) => {
+  if (!user || policy.historySize <= 0) {
+    return false;
+  }
+
+  const hashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, policy.historySize);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Full policy check for a new password. Pass the user when changing an
+// existing password so reuse can be detected.
+const checkPassword = async (password, { user } = {}) => {
+  const policy = getPasswordPolicy();
+  const reasons = checkPasswordRules(password, policy);
+
+  if (reasons.length > 0) {
+    return reasons;
+  }
+
+  if (policy.checkBreached && isBreachedPassword(password)) {
+    reasons.push({
+      code: "breached",
+      message:
+        "This password has appeared in a data breach, please choose another",
+    });
+  }
+
+  if (await isReusedPassword(user, password, policy)) {
+    reasons.push({
+      code: "reused",
+      message: `Password cannot match any of your last ${policy.historySize} passwords`,
+    });
+  }
+
+  return reasons;
+};
+
+// Whether the user's password is older than PASSWORD_MAX_AGE_DAYS
+const isPasswordExpired = (user) => {
+  const { maxAgeDays } = getPasswordPolicy();
+  if (maxAgeDays <= 0 || !user.hasPassword) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return (
+    !!changedAt &&
+    Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000
+  );
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPasswordRules,
+  getBreachedRange,
+  isBreachedPassword,
+  checkPassword,
+  isPasswordExpired,
+};
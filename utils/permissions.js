@@ -0,0 +1,77 @@
+const Role = require("../models/Role");
+const { DEFAULT_ROLE_PERMISSIONS } = require("../config/permissions");
+const { OWNER_ROLES } = require("../config/contributors");
+
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+// Load role -> permissions from the database, falling back to the defaults
+// for roles that have not been stored yet
+const loadRolePermissions = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const roles = await Role.find().lean();
+  const mapping = { ...DEFAULT_ROLE_PERMISSIONS };
+  roles.forEach((role) => {
+    mapping[role.name] = role.permissions;
+  });
+
+  cache = mapping;
+  cachedAt = Date.now();
+  return cache;
+};
+
+// Drop cached mappings after roles are edited
+const clearPermissionCache = () => {
+  cache = null;
+};
+
+const getRolePermissions = async (role) => {
+  const mapping = await loadRolePermissions();
+  return mapping[role] || [];
+};
+
+const sameUser = (value, user) =>
+  !!value && (value._id || value).toString() === user._id.toString();
+
+// Whether the user authored the resource, or is credited on a post as one
+// of its authors or co-authors
+const isOwner = (user, resource) => {
+  if (!resource) {
+    return false;
+  }
+  if (sameUser(resource.author, user)) {
+    return true;
+  }
+  return (resource.contributors || []).some(
+    (contributor) =>
+      OWNER_ROLES.includes(contributor.role) && sameUser(contributor.user, user)
+  );
+};
+
+// Check whether a user may perform an action, e.g.
+//   can(user, "post.update", post)  -> post.update.any, or .own if (co-)authored
+//   can(user, "comment.moderate")   -> exact permission
+const can = async (user, action, resource) => {
+  if (!user) {
+    return false;
+  }
+
+  const permissions = await getRolePermissions(user.role);
+
+  if (permissions.includes(action) || permissions.includes(`${action}.any`)) {
+    return true;
+  }
+
+  return permissions.includes(`${action}.own`) && isOwner(user, resource);
+};
+
+module.exports = {
+  can,
+  isOwner,
+  getRolePermissions,
+  clearPermissionCache,
+};
@@ -0,0 +1,34 @@
+const Post = require("../models/Post");
+
+// Publish scheduled posts whose time has come and archive published posts
+// past their unpublish time. Both updates are conditional on the current
+// status, so running them twice is harmless. Trashed posts are left alone.
+const runPostSchedule = async (now = new Date()) => {
+  const published = await Post.updateMany(
+    { status: "scheduled", scheduledFor: { $lte: now }, deletedAt: null },
+    [
+      {
+        $set: {
+          status: "published",
+          // Publish time is the scheduled one, not when the job got to it
+          publishedAt: "$scheduledFor",
+        },
+      },
+      { $unset: "scheduledFor" },
+    ]
+  );
+
+  const unpublished = await Post.updateMany(
+    { status: "published", unpublishAt: { $lte: now }, deletedAt: null },
+    { status: "archived", $unset: { unpublishAt: 1 } }
+  );
+
+  return {
+    published: published.modifiedCount,
+    unpublished: unpublished.modifiedCount,
+  };
+};
+
+module.exports = {
+  runPostSchedule,
+};
@@ -0,0 +1,134 @@
+const PostRevision = require("../models/PostRevision");
+const { diffWords } = require("./diff");
+
+// Post fields captured in each revision
+const REVISION_FIELDS = [
+  "title",
+  "content",
+  "format",
+  "excerpt",
+  "category",
+  "tags",
+];
+
+// Revisions kept per post; older ones are pruned (0 keeps everything)
+const revisionLimit = () => {
+  const limit = parseInt(process.env.POST_REVISION_LIMIT, 10);
+  return Number.isNaN(limit) ? 50 : limit;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const snapshot = (post) => ({
+  title: post.title,
+  content: post.content,
+  format: post.format || "markdown",
+  excerpt: post.excerpt,
+  category: idOf(post.category),
+  tags: (post.tags || []).map(idOf),
+});
+
+const sameId = (a, b) => String(a || "") === String(b || "");
+
+const sameContent = (a, b) =>
+  a.title === b.title &&
+  a.content === b.content &&
+  a.format === b.format &&
+  (a.excerpt || "") === (b.excerpt || "") &&
+  sameId(a.category, b.category) &&
+  a.tags.length === b.tags.length &&
+  a.tags.every((tag, index) => sameId(tag, b.tags[index]));
+
+// Drop revisions beyond the retention limit, oldest first
+const pruneRevisions = async (postId) => {
+  const limit = revisionLimit();
+  if (limit <= 0) {
+    return;
+  }
+
+  const oldestKept = await PostRevision.findOne({ post: postId })
+    .sort({ number: -1 })
+    .skip(limit - 1)
+    .select("number");
+
+  if (oldestKept) {
+    await PostRevision.deleteMany({
+      post: postId,
+      number: { $lt: oldestKept.number },
+    });
+  }
+};
+
+// Store the post's current content as a new revision. Nothing is stored when
+// it matches the latest revision, e.g. for status-only updates.
+const recordRevision = async (post, editor, { restoredFrom } = {}) => {
+  const data = snapshot(post);
+
+  for (let attempt = 0; ; attempt += 1) {
+    const latest = await PostRevision.findOne({ post: post._id }).sort({
+      number: -1,
+    });
+
+    if (latest && sameContent(snapshot(latest), data)) {
+      return null;
+    }
+
+    try {
+      const revision = await PostRevision.create({
+        ...data,
+        post: post._id,
+        number: latest ? latest.number + 1 : 1,
+        editor: idOf(editor),
+        restoredFrom,
+      });
+
+      await pruneRevisions(post._id);
+      return revision;
+    } catch (error) {
+      // Another update took the same number; retry with the next one
+      if (error.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Posts written before revisions existed get their current content stored
+// as the first revision before it is changed
+const ensureBaselineRevision = async (post) => {
+  if (!(await PostRevision.exists({ post: post._id }))) {
+    await recordRevision(post, post.author);
+  }
+};
+
+// Changes between two revisions: word diffs for text, added and removed ids
+// for tags
+const diffRevisions = (from, to) => {
+  const fromTags = from.tags.map(String);
+  const toTags = to.tags.map(String);
+
+  return {
+    title: diffWords(from.title, to.title),
+    excerpt: diffWords(from.excerpt, to.excerpt),
+    content: diffWords(from.content, to.content),
+    format:
+      (from.format || "markdown") === (to.format || "markdown")
+        ? null
+        : { from: from.format || "markdown", to: to.format || "markdown" },
+    category: sameId(from.category, to.category)
+      ? null
+      : { from: from.category, to: to.category },
+    tags: {
+      added: toTags.filter((tag) => !fromTags.includes(tag)),
+      removed: fromTags.filter((tag) => !toTags.includes(tag)),
+    },
+  };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  revisionLimit,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions,
+};
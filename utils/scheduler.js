@@ -0,0 +1,96 @@
+const os = require("os");
+const crypto = require("crypto");
+const JobLock = require("../models/JobLock");
+
+// Identifies this process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+const jobs = new Map();
+
+// Take the job's lease for ttlMs unless another instance holds it. Leases
+// are kept for a whole interval, so each run happens once across instances.
+const acquireLock = async (name, ttlMs) => {
+  const now = new Date();
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: { $lte: now } }, { owner: INSTANCE_ID }],
+      },
+      {
+        owner: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + ttlMs),
+        lastRunAt: now,
+      },
+      { new: true, upsert: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // The upsert collided with a lease held by another instance
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Run a job now if this instance can take its lease
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) {
+    return false;
+  }
+
+  job.running = true;
+  try {
+    // Leave a little slack so this instance's next tick can renew the lease
+    if (!(await acquireLock(name, Math.max(job.intervalMs - 1000, 1000)))) {
+      return false;
+    }
+    await job.task();
+    return true;
+  } catch (error) {
+    console.log(`❌ Job ${name} failed: ${error.message}`);
+    return false;
+  } finally {
+    job.running = false;
+  }
+};
+
+// Register a task to run every intervalMs on one instance at a time
+const scheduleJob = (name, intervalMs, task) => {
+  jobs.set(name, { intervalMs, task, running: false, timer: null });
+};
+
+// Start the timers for every registered job. SCHEDULER_ENABLED=false leaves
+// the jobs to other instances.
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    return;
+  }
+
+  jobs.forEach((job, name) => {
+    if (job.timer) {
+      return;
+    }
+    job.timer = setInterval(() => runJob(name), job.intervalMs);
+    job.timer.unref();
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  scheduleJob,
+  startScheduler,
+  stopScheduler,
+  runJob,
+};
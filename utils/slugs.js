@@ -0,0 +1,183 @@
+const SlugHistory = require("../models/SlugHistory");
+
+const MAX_SLUG_LENGTH = 80;
+
+// Lowercase words joined by hyphens, cut at a word boundary
+const slugify = (text) => {
+  const slug = String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+  const cut = slug.slice(0, MAX_SLUG_LENGTH);
+  return cut.slice(
+    0,
+    cut.lastIndexOf("-") > 0 ? cut.lastIndexOf("-") : cut.length
+  );
+};
+
+// First free slug among base, base-2, base-3, ... Slugs other documents
+// used to have stay reserved so their old links keep working, and trashed
+// documents keep theirs in case they are restored.
+const uniqueSlug = async (Model, type, base, id) => {
+  const root = base || type;
+
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? root : `${root}-${n}`;
+    const [taken, reserved] = await Promise.all([
+      Model.exists({ slug: candidate, _id: { $ne: id } }).setOptions({
+        withDeleted: true,
+      }),
+      SlugHistory.exists({ type, slug: candidate, target: { $ne: id } }),
+    ]);
+
+    if (!taken && !reserved) {
+      return candidate;
+    }
+  }
+};
+
+// Remember the previous slug. Going back to an old slug drops its redirect.
+const recordSlugChange = async (type, id, previous, current) => {
+  await SlugHistory.deleteOne({ type, slug: current, target: id });
+  await SlugHistory.updateOne(
+    { type, slug: previous },
+    { target: id },
+    { upsert: true }
+  );
+};
+
+// The slug a document should get, or null to keep the current one. An
+// explicit slug wins; otherwise it follows `source` unless `isLocked`.
+const nextSlug = async (Model, doc, { type, source, isLocked }, changes) => {
+  let base;
+  if (changes.slug) {
+    base = slugify(changes.slug);
+  } else if (!doc.slug || (changes[source] && !isLocked(doc))) {
+    base = slugify(changes[source] || doc[source]);
+  } else {
+    return null;
+  }
+
+  const slug = await uniqueSlug(Model, type, base, doc._id);
+  if (slug === doc.slug) {
+    return null;
+  }
+
+  if (doc.slug) {
+    await recordSlugChange(type, doc._id, doc.slug, slug);
+  }
+  return slug;
+};
+
+// Mongoose plugin keeping a unique, human-readable slug on the schema.
+// Options: type ("post", "category" or "tag"), source (field the slug is
+// made from) and isLocked(doc) (when true, source changes keep the slug).
+const sluggable = (schema, { type, source, isLocked = () => false }) => {
+  schema.pre("save", async function () {
+    const slugChanged = this.isModified("slug") && this.slug;
+    if (!this.isNew && !slugChanged && !this.isModified(source)) {
+      return;
+    }
+
+    // Compare against the stored document, not the values being saved
+    const stored = this.isNew
+      ? { _id: this._id }
+      : await this.constructor
+          .findById(this._id)
+          .select(`slug ${source} publishedAt`)
+          .lean();
+    const doc = { ...stored, _id: this._id };
+
+    const slug = await nextSlug(
+      this.constructor,
+      doc,
+      { type, source, isLocked },
+      {
+        slug: slugChanged ? this.slug : null,
+        [source]: this.isModified(source) ? this[source] : null,
+      }
+    );
+    if (slug) {
+      this.slug = slug;
+    } else if (doc.slug) {
+      this.slug = doc.slug;
+    }
+  });
+
+  // findByIdAndUpdate skips the save hook
+  schema.pre("findOneAndUpdate", async function () {
+    const update = this.getUpdate() || {};
+    const fields = { ...update, ...update.$set };
+    if (!fields.slug && !fields[source]) {
+      return;
+    }
+
+    const doc = await this.model
+      .findOne(this.getQuery())
+      .select(`slug ${source} publishedAt`)
+      .lean();
+    if (!doc) {
+      return;
+    }
+
+    const slug = await nextSlug(
+      this.model,
+      doc,
+      { type, source, isLocked },
+      { slug: fields.slug, [source]: fields[source] }
+    );
+
+    // Never write a slug that was not checked for uniqueness
+    delete update.slug;
+    if (update.$set) {
+      delete update.$set.slug;
+    }
+    if (slug) {
+      this.set({ slug });
+    }
+  });
+};
+
+// Current slug of the document that used to have `slug`, when it still
+// matches `filter`
+const findSlugRedirect = async (Model, type, slug, filter = {}) => {
+  const entry = await SlugHistory.findOne({ type, slug });
+  if (!entry) {
+    return null;
+  }
+
+  const doc = await Model.findOne({ ...filter, _id: entry.target }).select(
+    "slug"
+  );
+  return doc ? doc.slug : null;
+};
+
+// Permanent redirect from an old slug to the current one, keeping the query
+const sendSlugRedirect = (req, res, slug) => {
+  const queryIndex = req.originalUrl.indexOf("?");
+  const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : "";
+  const location = `${req.baseUrl}/slug/${slug}${query}`;
+
+  res.set("Location", location);
+  return res.status(301).json({
+    success: true,
+    message: `Moved permanently to ${location}`,
+    data: {
+      slug,
+      location,
+    },
+  });
+};
+
+module.exports = {
+  slugify,
+  sluggable,
+  findSlugRedirect,
+  sendSlugRedirect,
+};
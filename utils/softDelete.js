@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Reads that leave out trashed documents unless asked for them
+const READ_OPS = ["find", "findOne", "countDocuments", "count", "distinct"];
+
+// Mongoose plugin for soft deletes. Trashed documents keep their data but
+// carry `deletedAt`/`deletedBy` and are hidden from queries, except those
+// that filter on `deletedAt` themselves or call `.withDeleted()`.
+const softDeletable = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.pre(READ_OPS, function () {
+    if (!this.getOptions().withDeleted && !("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    if (!this.options.withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
+module.exports = {
+  softDeletable,
+};
@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const { isAsymmetric, getSigningKey, getVerificationKey } = require("./keys");
+
+const refreshTokenTtlMs = () => {
+  const days = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 7;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Only write last-seen updates this often
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// Hash an opaque token for storage/lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Generate a short-lived JWT access token bound to a session. Signed with
+// the active key pair (kid in the header) unless JWT_ALGORITHM is HS256.
+// `actor` marks an impersonation token with the acting admin (RFC 8693 act).
+const generateToken = async (
+  id,
+  sessionId,
+  { actor, expiresIn = process.env.JWT_EXPIRE || "15m" } = {}
+) => {
+  const payload = { id, sid: sessionId };
+  if (actor) {
+    payload.act = { sub: actor.toString() };
+  }
+
+  if (!isAsymmetric()) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+  }
+
+  const { kid, alg, key } = await getSigningKey();
+  return jwt.sign(payload, key, { algorithm: alg, keyid: kid, expiresIn });
+};
+
+// Verify an access token and return its payload; throws when it is invalid
+const verifyAccessToken = async (token) => {
+  if (!isAsymmetric()) {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key =
+    decoded && decoded.header.kid
+      ? await getVerificationKey(decoded.header.kid)
+      : null;
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+// Persist a new refresh token for a session and return the raw value.
+// The session's expiry slides forward with every token.
+const createRefreshToken = async (userId, family, req) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+
+  const doc = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    createdByIp: req && req.ip,
+    userAgent: req && req.get("user-agent"),
+  });
+
+  await Session.updateOne({ _id: family }, { expiresAt });
+
+  return { token, doc };
+};
+
+// Start a new session for a user and return an access/refresh token pair.
+// `mfa` records whether the login passed two-factor authentication.
+const issueTokens = async (user, req, { mfa = false } = {}) => {
+  const session = await Session.create({
+    user: user._id,
+    ip: req && req.ip,
+    lastSeenIp: req && req.ip,
+    userAgent: req && req.get("user-agent"),
+    mfa,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+  });
+  const family = session._id.toString();
+
+  const { token: refreshToken } = await createRefreshToken(
+    user._id,
+    family,
+    req
+  );
+
+  return {
+    token: await generateToken(user._id, family),
+    refreshToken,
+  };
+};
+
+// Revoke a session and every live refresh token in it
+const revokeFamily = async (family, reason) => {
+  const now = new Date();
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: now, revokedReason: reason === "reuse" ? "reuse" : "logout" }
+  );
+  await Session.updateOne(
+    { _id: family, revokedAt: null },
+    { revokedAt: now, revokedReason: reason }
+  );
+};
+
+// Revoke every session belonging to a user
+const revokeAllForUser = async (userId, reason) => {
+  const now = new Date();
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now, revokedReason: "logout" }
+  );
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now, revokedReason: reason }
+  );
+};
+
+// Returns the session if it is still active, or null when it is gone
+const findActiveSession = (family) => {
+  if (!mongoose.isValidObjectId(family)) {
+    return null;
+  }
+
+  return Session.findOne({
+    _id: family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Record activity on a session (throttled to limit writes)
+const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return;
+  }
+
+  await Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: new Date(), lastSeenIp: req.ip }
+  );
+};
+
+// Mark a session as having passed two-factor auth
+const markSessionMfa = (family) =>
+  Session.updateOne({ _id: family }, { mfa: true });
+
+// Sign the short-lived token returned by login when a second factor is needed
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: "2fa-challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m" }
+  );
+};
+
+// Decode a two-factor challenge token, returning null when it is not valid
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa-challenge" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sign an email verification link token bound to the user's current address
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFY_EXPIRE || "24h" }
+  );
+};
+
+// Decode an email verification token, returning null when it is not valid
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "verify-email" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  verifyAccessToken,
+  createRefreshToken,
+  issueTokens,
+  revokeFamily,
+  revokeAllForUser,
+  findActiveSession,
+  touchSession,
+  markSessionMfa,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+};
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Queries inside connection.transaction() pick up its session by themselves
+mongoose.set("transactionAsyncLocalStorage", true);
+
+let transactionsSupported = true;
+
+// Standalone MongoDB servers cannot run transactions
+const isTransactionUnsupported = (error) =>
+  error.code === 20 && /Transaction numbers/.test(error.message);
+
+// Run fn inside a MongoDB transaction so its writes apply all together or
+// not at all. Nested calls join the transaction already running. Without a
+// replica set fn runs without a transaction, after a one-time warning.
+const withTransaction = async (fn) => {
+  const store = mongoose.transactionAsyncLocalStorage.getStore();
+  if (store && store.session) {
+    return fn();
+  }
+
+  if (transactionsSupported) {
+    try {
+      return await mongoose.connection.transaction(() => fn());
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) {
+        throw error;
+      }
+      transactionsSupported = false;
+      console.warn(
+        "⚠️  MongoDB transactions need a replica set; deletes run without one"
+      );
+    }
+  }
+
+  return fn();
+};
+
+module.exports = {
+  withTransaction,
+};
@@ -0,0 +1,212 @@
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Tag = require("../models/Tag");
+const { purgeUser } = require("./accounts");
+const { revokeAllForUser } = require("./tokens");
+const {
+  defaultContentAction,
+  checkDeleteBlocked,
+  trashDependents,
+  restoreDependents,
+  removeDocument,
+} = require("./integrity");
+const { withTransaction } = require("./transaction");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resources that can be trashed, with the fields shown in the trash listing
+const TRASH_TYPES = {
+  post: { Model: Post, select: "title slug author status" },
+  comment: { Model: Comment, select: "content post author parentComment" },
+  user: { Model: User, select: "name email role" },
+  category: { Model: Category, select: "name slug" },
+  tag: { Model: Tag, select: "name slug" },
+};
+
+// Days an item stays in the trash before it is purged (0 = keep forever)
+const trashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) ? 30 : days;
+};
+
+const untrash = () => ({
+  $set: { deletedAt: null },
+  $unset: { deletedBy: 1 },
+});
+
+const purgeDate = (deletedAt) => {
+  const days = trashRetentionDays();
+  return days > 0 ? new Date(deletedAt.getTime() + days * DAY_MS) : null;
+};
+
+// Move a document to the trash, applying the delete rules of
+// config/integrity.js in one transaction. Returns null when trashed,
+// otherwise the status code and message of the rule that blocked it.
+// Users are signed out everywhere; `options.reassignTo` and
+// `options.content` decide what happens to their posts and comments when
+// the user is purged.
+const moveToTrash = async (type, doc, user, options = {}) =>
+  withTransaction(async () => {
+    const blocked = await checkDeleteBlocked(type, doc);
+    if (blocked) {
+      return blocked;
+    }
+
+    const trashed = { deletedAt: new Date(), deletedBy: user._id };
+    const content = options.content || defaultContentAction();
+
+    await TRASH_TYPES[type].Model.updateOne(
+      { _id: doc._id },
+      // Remembered so the purge hands the content over as chosen here
+      type === "user"
+        ? {
+            ...trashed,
+            deletionContent: content,
+            deletionReassignTo: options.reassignTo,
+          }
+        : trashed
+    );
+    await trashDependents(type, doc, trashed, { ...options, content });
+
+    if (type === "user") {
+      await revokeAllForUser(doc._id, "admin");
+    }
+    return null;
+  });
+
+// Take a trashed document out of the trash, together with what was trashed
+// along with it. Returns null when restored, otherwise the status code and
+// message explaining why it cannot be yet.
+const restoreFromTrash = async (type, doc) => {
+  const restored = untrash();
+  if (type === "user") {
+    restored.$unset.deletionReassignTo = 1;
+  }
+
+  if (type === "post") {
+    if (!(await Category.exists({ _id: doc.category }))) {
+      return {
+        statusCode: 409,
+        message:
+          "The category of this post was deleted, restore it or move the post first",
+      };
+    }
+
+    // Tags deleted in the meantime are left out
+    const tags = await Tag.find({ _id: { $in: doc.tags } }).select("_id");
+    restored.$set.tags = tags.map((tag) => tag._id);
+  }
+
+  if (type === "comment") {
+    if (!(await Post.exists({ _id: doc.post }))) {
+      return {
+        statusCode: 409,
+        message: "The post of this comment was deleted, restore it first",
+      };
+    }
+    if (
+      doc.parentComment &&
+      !(await Comment.exists({ _id: doc.parentComment }))
+    ) {
+      return {
+        statusCode: 409,
+        message: "Restore the comment this one replies to first",
+      };
+    }
+  }
+
+  await withTransaction(async () => {
+    await restoreDependents(type, doc, untrash());
+    await TRASH_TYPES[type].Model.updateOne({ _id: doc._id }, restored);
+  });
+  return null;
+};
+
+// Permanently remove a trashed document. Returns false while a block rule
+// keeps it, e.g. a category still used by posts in the trash.
+const purgeDocument = async (type, doc) => {
+  if (type === "user") {
+    // Follow the content setting instead if that user is gone by now
+    const reassignTo =
+      doc.deletionReassignTo &&
+      (await User.exists({ _id: doc.deletionReassignTo, isActive: true }))
+        ? doc.deletionReassignTo
+        : undefined;
+    await purgeUser(doc, { content: doc.deletionContent, reassignTo });
+    return true;
+  }
+  return removeDocument(type, doc);
+};
+
+// Newest trashed items of the given types, merged into one page
+const listTrash = async (types, { skip, limit }) => {
+  const results = await Promise.all(
+    types.map(async (type) => {
+      const { Model, select } = TRASH_TYPES[type];
+      const filter = { deletedAt: { $ne: null } };
+
+      const [items, total] = await Promise.all([
+        Model.find(filter)
+          .select(`${select} deletedAt deletedBy`)
+          .populate("deletedBy", "name email")
+          .sort({ deletedAt: -1 })
+          .limit(skip + limit)
+          .lean(),
+        Model.countDocuments(filter),
+      ]);
+
+      return {
+        total,
+        items: items.map((item) => ({
+          type,
+          ...item,
+          purgeAt: purgeDate(item.deletedAt),
+        })),
+      };
+    })
+  );
+
+  return {
+    total: results.reduce((sum, result) => sum + result.total, 0),
+    items: results
+      .flatMap((result) => result.items)
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .slice(skip, skip + limit),
+  };
+};
+
+// Purge everything that has been in the trash longer than the retention
+// period
+const purgeExpiredTrash = async () => {
+  const days = trashRetentionDays();
+  if (days <= 0) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  let purged = 0;
+
+  for (const [type, { Model }] of Object.entries(TRASH_TYPES)) {
+    const cursor = Model.find({ deletedAt: { $lte: cutoff } }).cursor();
+
+    for await (const doc of cursor) {
+      if (await purgeDocument(type, doc)) {
+        purged += 1;
+      }
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  trashRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  purgeDocument,
+  listTrash,
+  purgeExpiredTrash,
+};
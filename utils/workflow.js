@@ -0,0 +1,79 @@
+const Post = require("../models/Post");
+const { TRANSITIONS, REVIEW_STATUSES } = require("../config/workflow");
+const { can } = require("./permissions");
+
+// Statuses a post can move to from `status`
+const nextStatuses = (status) => Object.keys(TRANSITIONS[status] || {});
+
+// Whether the user may move the post to `status`. Returns null when allowed,
+// otherwise the status code and message to respond with.
+const checkTransition = async (user, post, status) => {
+  const from = post.status || "draft";
+  if (from === status) {
+    return null;
+  }
+
+  const permission = (TRANSITIONS[from] || {})[status];
+  if (!permission) {
+    return {
+      statusCode: 409,
+      message: `A post cannot move from ${from} to ${status}`,
+    };
+  }
+
+  if (!(await can(user, permission, post))) {
+    return {
+      statusCode: 403,
+      message: `Not authorized to move this post from ${from} to ${status}`,
+    };
+  }
+
+  return null;
+};
+
+// checkTransition for status changes made by editing a post. Review statuses
+// are only reached through the submit and review endpoints, which also check
+// who may review the post.
+const checkEditTransition = async (user, post, status) => {
+  if (REVIEW_STATUSES.includes(status) && (post.status || "draft") !== status) {
+    return {
+      statusCode: 409,
+      message: `Use the submit and review endpoints to move a post to ${status}`,
+    };
+  }
+
+  return checkTransition(user, post, status);
+};
+
+// Approval covers the content that was reviewed. When an approved or
+// scheduled post's content changes it goes back to review, unless the editor
+// may publish without review. Returns whether the post was sent back.
+const reopenReview = async (user, post) => {
+  if (
+    !["approved", "scheduled"].includes(post.status) ||
+    (await can(user, "post.publish.unreviewed"))
+  ) {
+    return false;
+  }
+
+  await Post.updateOne(
+    { _id: post._id },
+    {
+      status: "in_review",
+      submittedAt: new Date(),
+      $unset: { approvedBy: 1, approvedAt: 1, scheduledFor: 1 },
+    }
+  );
+  post.status = "in_review";
+  post.approvedBy = undefined;
+  post.approvedAt = undefined;
+  post.scheduledFor = undefined;
+  return true;
+};
+
+module.exports = {
+  nextStatuses,
+  checkTransition,
+  checkEditTransition,
+  reopenReview,
+};